@@ -0,0 +1,46 @@
+import { useSyncExternalStore } from "react";
+import { backgroundUploads } from "../services/backgroundUploads";
+import { formatFileSize } from "../utils/format";
+
+/**
+ * Progress of background uploads started by other tabs, or by this tab
+ * before it navigated
+ */
+function BackgroundUploads() {
+  const jobs = useSyncExternalStore(
+    backgroundUploads.subscribe,
+    backgroundUploads.getJobs
+  ).filter((job) => !backgroundUploads.isOwnJob(job.jobId));
+
+  if (jobs.length === 0) return null;
+
+  return (
+    <div className="mt-6">
+      <h2 className="text-sm font-medium text-gray-700">
+        Uploading in the background
+      </h2>
+      <ul className="mt-2 space-y-2">
+        {jobs.map((job) => (
+          <li key={job.jobId} className="p-3 rounded-lg border text-sm">
+            <div className="flex justify-between gap-2">
+              <span className="truncate">{job.fileName}</span>
+              <span className="shrink-0 text-gray-500">
+                {formatFileSize(job.loadedBytes)} of{" "}
+                {formatFileSize(job.fileSize)}
+                {job.status === "paused" && " · Paused"}
+              </span>
+            </div>
+            <div className="mt-2 h-2 bg-gray-100 rounded overflow-hidden">
+              <div
+                style={{ width: `${job.progress}%` }}
+                className="h-full bg-blue-500 transition-all"
+              />
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default BackgroundUploads;
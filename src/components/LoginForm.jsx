@@ -0,0 +1,74 @@
+import { useState } from "react";
+import { authApi } from "../services/auth";
+
+/**
+ * Sign-in form shown until the user is authenticated
+ */
+function LoginForm() {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await authApi.login(email, password);
+    } catch (error) {
+      console.error("Login failed:", error);
+      setError(
+        error.status === 401
+          ? "Invalid email or password."
+          : `Login failed: ${error.message}`
+      );
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600">Sign in to upload videos.</p>
+      <div>
+        <label htmlFor="email" className="block text-sm text-gray-700">
+          Email
+        </label>
+        <input
+          id="email"
+          type="email"
+          autoComplete="username"
+          required
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="mt-1 w-full border rounded px-3 py-2"
+        />
+      </div>
+      <div>
+        <label htmlFor="password" className="block text-sm text-gray-700">
+          Password
+        </label>
+        <input
+          id="password"
+          type="password"
+          autoComplete="current-password"
+          required
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="mt-1 w-full border rounded px-3 py-2"
+        />
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <button
+        type="submit"
+        disabled={submitting}
+        className="w-full px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors disabled:opacity-50"
+      >
+        {submitting ? "Signing in..." : "Sign in"}
+      </button>
+    </form>
+  );
+}
+
+export default LoginForm;
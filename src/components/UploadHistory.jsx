@@ -0,0 +1,263 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { uploadApi } from "../services/api";
+import { formatFileSize, formatDate } from "../utils/format";
+import { getErrorMessage } from "../utils/errorMessages";
+
+const PAGE_SIZE = 20;
+
+const STATUS_FILTERS = [
+  { value: "", label: "All statuses" },
+  { value: "pending", label: "Pending" },
+  { value: "completed", label: "Completed" },
+  { value: "failed", label: "Failed" },
+];
+
+const LINK_EXPIRY_OPTIONS = [
+  { value: 3600, label: "1 hour" },
+  { value: 24 * 3600, label: "24 hours" },
+  { value: 7 * 24 * 3600, label: "7 days" },
+];
+
+/**
+ * Read the uploads array from a listUploads response
+ * The backend returns either an array or { uploads, hasMore, nextCursor }
+ * in `data`.
+ */
+const parseUploadList = (response) => {
+  const data = response.data;
+  const uploads = Array.isArray(data) ? data : data?.uploads || [];
+  const hasMore = data?.hasMore ?? uploads.length === PAGE_SIZE;
+  return { uploads, hasMore, nextCursor: data?.nextCursor ?? null };
+};
+
+/**
+ * Table of the user's past uploads with download links and deletes
+ */
+function UploadHistory({ userId, refreshKey }) {
+  const [uploads, setUploads] = useState([]);
+  const [statusFilter, setStatusFilter] = useState("");
+  const [linkExpiry, setLinkExpiry] = useState(LINK_EXPIRY_OPTIONS[0].value);
+  const [hasMore, setHasMore] = useState(false);
+  // Where the next page starts: the backend's cursor, or for backends
+  // without cursors, the number of uploads it still lists before it
+  const [nextPage, setNextPage] = useState({ cursor: null, offset: 0 });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [busyUploadId, setBusyUploadId] = useState(null);
+  const loadControllerRef = useRef(null);
+
+  const loadUploads = useCallback(
+    async (page = { cursor: null, offset: 0 }) => {
+      const firstPage = !page.cursor && page.offset === 0;
+      // A newer load (e.g. after a filter change) supersedes the pending one
+      loadControllerRef.current?.abort();
+      const controller = new AbortController();
+      loadControllerRef.current = controller;
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await uploadApi.listUploads(
+          userId,
+          statusFilter || undefined,
+          { limit: PAGE_SIZE, ...page },
+          { signal: controller.signal }
+        );
+        const list = parseUploadList(response);
+
+        setUploads((current) =>
+          firstPage ? list.uploads : [...current, ...list.uploads]
+        );
+        setHasMore(list.hasMore);
+        setNextPage({
+          cursor: list.nextCursor,
+          offset: page.offset + list.uploads.length,
+        });
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error("Failed to load upload history:", error);
+        setError(`Could not load upload history: ${getErrorMessage(error)}`);
+      } finally {
+        if (loadControllerRef.current === controller) {
+          loadControllerRef.current = null;
+          setLoading(false);
+        }
+      }
+    },
+    [userId, statusFilter]
+  );
+
+  // Reload from the first page when the filter changes or an upload finishes
+  useEffect(() => {
+    loadUploads();
+  }, [loadUploads, refreshKey]);
+
+  useEffect(() => () => loadControllerRef.current?.abort(), []);
+
+  const handleDownload = async (upload) => {
+    // Opened during the click, since browsers block pop-ups opened after
+    // an await; it is pointed at the link once the link arrives
+    const downloadWindow = window.open("", "_blank");
+    if (downloadWindow) downloadWindow.opener = null;
+
+    setBusyUploadId(upload.uploadId);
+    setError(null);
+    try {
+      const response = await uploadApi.generateDownloadUrl(
+        upload.s3Key,
+        linkExpiry
+      );
+      if (downloadWindow) {
+        downloadWindow.location.href = response.data.downloadUrl;
+      } else {
+        setError("Allow pop-ups for this site to download uploads.");
+      }
+    } catch (error) {
+      downloadWindow?.close();
+      console.error("Failed to generate download URL:", error);
+      setError(`Could not generate a download link: ${getErrorMessage(error)}`);
+    } finally {
+      setBusyUploadId(null);
+    }
+  };
+
+  const handleDelete = async (upload) => {
+    const confirmed = window.confirm(
+      `Delete "${upload.fileName}"? This cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    setBusyUploadId(upload.uploadId);
+    setError(null);
+    try {
+      await uploadApi.deleteUpload(upload.uploadId);
+      setUploads((current) =>
+        current.filter((u) => u.uploadId !== upload.uploadId)
+      );
+      // The backend now lists one upload fewer before the next page
+      setNextPage((page) => ({ ...page, offset: page.offset - 1 }));
+    } catch (error) {
+      console.error("Failed to delete upload:", error);
+      setError(`Could not delete upload: ${getErrorMessage(error)}`);
+    } finally {
+      setBusyUploadId(null);
+    }
+  };
+
+  return (
+    <div className="mt-8">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold">Upload History</h2>
+        <div className="flex items-center gap-2 text-sm">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="border rounded px-2 py-1"
+            aria-label="Filter by status"
+          >
+            {STATUS_FILTERS.map((filter) => (
+              <option key={filter.value} value={filter.value}>
+                {filter.label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={linkExpiry}
+            onChange={(e) => setLinkExpiry(Number(e.target.value))}
+            className="border rounded px-2 py-1"
+            aria-label="Download link expiry"
+          >
+            {LINK_EXPIRY_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                Links valid {option.label}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => loadUploads()}
+            disabled={loading}
+            className="px-3 py-1 border rounded text-gray-600 hover:bg-gray-100 transition-colors"
+          >
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+      <div className="mt-3 overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="text-gray-500 border-b">
+            <tr>
+              <th className="py-2 pr-2 font-medium">Name</th>
+              <th className="py-2 pr-2 font-medium">Size</th>
+              <th className="py-2 pr-2 font-medium">Status</th>
+              <th className="py-2 pr-2 font-medium">Date</th>
+              <th className="py-2 pr-2 font-medium">Upload ID</th>
+              <th className="py-2 font-medium" />
+            </tr>
+          </thead>
+          <tbody>
+            {uploads.map((upload) => (
+              <tr key={upload.uploadId} className="border-b last:border-0">
+                <td
+                  className="py-2 pr-2 max-w-40 truncate"
+                  title={upload.fileName}
+                >
+                  {upload.fileName}
+                </td>
+                <td className="py-2 pr-2 whitespace-nowrap">
+                  {upload.fileSize ? formatFileSize(upload.fileSize) : "-"}
+                </td>
+                <td className="py-2 pr-2">{upload.status}</td>
+                <td className="py-2 pr-2 whitespace-nowrap">
+                  {formatDate(upload.createdAt)}
+                </td>
+                <td
+                  className="py-2 pr-2 max-w-24 truncate text-xs text-gray-500"
+                  title={upload.uploadId}
+                >
+                  {upload.uploadId}
+                </td>
+                <td className="py-2 whitespace-nowrap text-right">
+                  {upload.status === "completed" && upload.s3Key && (
+                    <button
+                      onClick={() => handleDownload(upload)}
+                      disabled={busyUploadId === upload.uploadId}
+                      className="px-2 py-1 text-blue-600 hover:underline"
+                    >
+                      Download
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDelete(upload)}
+                    disabled={busyUploadId === upload.uploadId}
+                    className="px-2 py-1 text-red-600 hover:underline"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {!loading && uploads.length === 0 && !error && (
+          <p className="mt-3 text-sm text-gray-500">No uploads yet.</p>
+        )}
+      </div>
+
+      {hasMore && (
+        <button
+          onClick={() => loadUploads(nextPage)}
+          disabled={loading}
+          className="mt-3 px-4 py-2 border rounded text-gray-600 hover:bg-gray-100 transition-colors"
+        >
+          {loading ? "Loading..." : "Load more"}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default UploadHistory;
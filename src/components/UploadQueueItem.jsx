@@ -0,0 +1,308 @@
+import { isItemActive, isItemPausable } from "../services/uploadQueue";
+import {
+  TRANSCODE_PRESETS,
+  estimateTranscodedSize,
+} from "../services/transcoder";
+import { formatDate, formatFileSize, formatTransfer } from "../utils/format";
+import VideoPreviewCard from "./VideoPreviewCard";
+
+const STATUS_LABELS = {
+  validating: "Checking file...",
+  scheduled: "Scheduled",
+  queued: "Queued",
+  encoding: "Compressing video...",
+  "checking-duplicates": "Checking for duplicates...",
+  duplicate: "Already uploaded",
+  hashing: "Computing checksum...",
+  "generating-url": "Generating URL...",
+  "initiating-multipart": "Initiating multipart upload...",
+  "uploading-parts": "Uploading parts...",
+  uploading: "Uploading...",
+  "completing-multipart": "Completing multipart upload...",
+  confirming: "Confirming...",
+  paused: "Paused",
+  cancelled: "Cancelled",
+  done: "Done",
+  error: "Failed",
+};
+
+// Statuses during which the backend upload can still be cancelled
+const CANCELLABLE_STATUSES = [
+  "validating",
+  "scheduled",
+  "queued",
+  "encoding",
+  "checking-duplicates",
+  "duplicate",
+  "hashing",
+  "generating-url",
+  "initiating-multipart",
+  "uploading-parts",
+  "uploading",
+  "paused",
+];
+
+/**
+ * Status shown for an item, with the reason it is waiting or paused
+ * @param {Object} item - Queue item
+ * @returns {string} - Status label
+ */
+const describeStatus = (item) => {
+  if (item.status === "scheduled") {
+    return item.startAt && item.startAt > Date.now()
+      ? `Starts ${formatDate(item.startAt)}`
+      : "Waits until you're away";
+  }
+  if (item.status === "checking-duplicates" && item.hashProgress !== null) {
+    return `Checking for duplicates... ${item.hashProgress}%`;
+  }
+  if (item.status === "paused" && item.pauseReason === "connection") {
+    return "Waiting for connection...";
+  }
+  if (item.status === "paused" && item.pauseReason === "activity") {
+    return "Paused while you're active";
+  }
+  return STATUS_LABELS[item.status] || item.status;
+};
+
+/**
+ * Size shown next to the file name: the compressed size once a video has
+ * been compressed, or the estimate for the current preset before
+ * @param {Object} item - Queue item
+ * @param {string} transcodePreset - Key of TRANSCODE_PRESETS, or null
+ * @returns {string} - e.g. "1.2 GB", "1.2 GB → 180 MB" or "1.2 GB, ~180 MB
+ *   compressed"
+ */
+const describeSize = (item, transcodePreset) => {
+  if (item.originalSize) {
+    return `${formatFileSize(item.originalSize)} → ${formatFileSize(
+      item.fileSize
+    )}`;
+  }
+
+  const preset = TRANSCODE_PRESETS[transcodePreset];
+  const estimate =
+    preset &&
+    ["validating", "scheduled", "queued"].includes(item.status) &&
+    estimateTranscodedSize(preset, item.metadata);
+  return estimate && estimate < item.fileSize
+    ? `${formatFileSize(item.fileSize)}, ~${formatFileSize(
+        estimate
+      )} compressed`
+    : formatFileSize(item.fileSize);
+};
+
+/**
+ * One row of the upload queue with its own progress and controls
+ */
+function UploadQueueItem({
+  item,
+  transcodePreset = null,
+  onPause,
+  onResume,
+  onCancel,
+  onRetry,
+  onRemove,
+  onStartNow,
+  onResolveDuplicate,
+}) {
+  const { status, retryInfo, pauseReason } = item;
+
+  return (
+    <li className="p-3 rounded-(--vu-radius) border">
+      <div className="flex justify-between text-sm gap-2">
+        <span
+          className="text-gray-700 truncate"
+          title={item.relativePath ?? item.fileName}
+        >
+          {item.relativePath ?? item.fileName}{" "}
+          <span className="text-gray-400">
+            ({describeSize(item, transcodePreset)})
+          </span>
+        </span>
+        <span
+          className={`shrink-0 ${
+            ["validating", "scheduled", "queued"].includes(status)
+              ? "text-blue-600"
+              : status === "error"
+              ? "text-red-600"
+              : status === "done"
+              ? "text-green-600"
+              : "text-yellow-600"
+          }`}
+        >
+          {describeStatus(item)}
+        </span>
+      </div>
+
+      {item.metadata && (
+        <VideoPreviewCard
+          metadata={item.metadata}
+          thumbnails={item.thumbnails}
+        />
+      )}
+
+      {item.encodeProgress !== null && item.encodeProgress < 100 && (
+        <>
+          <div className="mt-2 h-2 bg-gray-100 rounded overflow-hidden">
+            <div
+              style={{ width: `${item.encodeProgress}%` }}
+              className="h-full bg-gray-400 transition-all"
+            />
+          </div>
+          <div className="mt-1 text-xs text-gray-600">
+            Compressing: {item.encodeProgress}%
+          </div>
+        </>
+      )}
+
+      <div className="mt-2 h-2 bg-gray-100 rounded overflow-hidden">
+        <div
+          style={{ width: `${item.progress}%` }}
+          className="h-full bg-(--vu-accent) transition-all"
+        />
+      </div>
+      <div className="mt-1 flex justify-between text-xs text-gray-600">
+        <span>{item.progress}%</span>
+        {isItemActive(item) && (
+          <span>
+            {formatTransfer({
+              loaded: item.loadedBytes,
+              total: item.fileSize,
+              speed: item.speed,
+              eta: item.eta,
+            })}
+          </span>
+        )}
+      </div>
+
+      {retryInfo && (
+        <div className="mt-1 text-xs text-yellow-600">
+          {retryInfo.partNumber
+            ? `Part ${retryInfo.partNumber}, retry`
+            : "Retry"}{" "}
+          {retryInfo.retry}/{retryInfo.maxRetries} in{" "}
+          {Math.ceil(retryInfo.delay / 1000)}s ({retryInfo.error.message})
+        </div>
+      )}
+      {status === "error" && item.error && (
+        <div className="mt-1 text-xs text-red-600">{item.error}</div>
+      )}
+      {status === "duplicate" && item.duplicate && (
+        <div className="mt-1 text-xs text-gray-600">
+          The same file was uploaded
+          {item.duplicate.fileName &&
+            ` as "${item.duplicate.fileName}"`} on{" "}
+          {formatDate(item.duplicate.completedAt ?? item.duplicate.createdAt)}{" "}
+          (Upload ID: {item.duplicate.uploadId}).
+          {item.duplicate.downloadUrl && (
+            <>
+              {" "}
+              <a
+                href={item.duplicate.downloadUrl}
+                target="_blank"
+                rel="noreferrer"
+                className="underline"
+              >
+                Open it
+              </a>
+            </>
+          )}
+        </div>
+      )}
+      {status === "done" && item.uploadId && (
+        <div className="mt-1 text-xs text-gray-500">
+          Upload ID: {item.uploadId}
+          {item.duplicateOf &&
+            (item.duplicateOf === item.uploadId
+              ? " (already uploaded, not sent again)"
+              : ` (reference to ${item.duplicateOf}, not sent again)`)}
+        </div>
+      )}
+
+      <div className="mt-2 flex gap-2 text-xs">
+        {isItemPausable(item) && (
+          <button
+            onClick={() => onPause(item.id)}
+            className="px-3 py-1 bg-yellow-500 text-white rounded hover:bg-yellow-600 transition-colors"
+          >
+            Pause
+          </button>
+        )}
+        {(status === "scheduled" ||
+          (status === "paused" && pauseReason === "activity")) && (
+          <button
+            onClick={() => onStartNow(item.id)}
+            className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
+          >
+            Start Now
+          </button>
+        )}
+        {status === "duplicate" && (
+          <>
+            <button
+              onClick={() => onResolveDuplicate(item.id, "existing")}
+              className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
+            >
+              Use Existing
+            </button>
+            <button
+              onClick={() => onResolveDuplicate(item.id, "reference")}
+              className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
+            >
+              Create Reference
+            </button>
+            <button
+              onClick={() => onResolveDuplicate(item.id, "upload")}
+              className="px-3 py-1 border rounded text-gray-600 hover:bg-gray-100 transition-colors"
+            >
+              Upload Anyway
+            </button>
+          </>
+        )}
+        {status === "paused" && (
+          <button
+            onClick={() => onResume(item.id)}
+            className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
+          >
+            Resume
+          </button>
+        )}
+        {CANCELLABLE_STATUSES.includes(status) && (
+          <button
+            onClick={() => onCancel(item.id)}
+            className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600 transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+        {(status === "error" || status === "cancelled") && (
+          <button
+            onClick={() => onRetry(item.id)}
+            className="px-3 py-1 bg-gray-500 text-white rounded hover:bg-gray-600 transition-colors"
+          >
+            Try Again
+          </button>
+        )}
+        {status === "done" && item.downloadUrl && (
+          <button
+            onClick={() => window.open(item.downloadUrl, "_blank")}
+            className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
+          >
+            Download File
+          </button>
+        )}
+        {!isItemActive(item) && (
+          <button
+            onClick={() => onRemove(item.id)}
+            className="px-3 py-1 border rounded text-gray-600 hover:bg-gray-100 transition-colors"
+          >
+            Remove
+          </button>
+        )}
+      </div>
+    </li>
+  );
+}
+
+export default UploadQueueItem;
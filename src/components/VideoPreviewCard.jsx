@@ -0,0 +1,53 @@
+import { formatTimecode } from "../utils/format";
+
+/**
+ * Preview of a video read on the client: poster, scrub thumbnails and
+ * metadata
+ */
+function VideoPreviewCard({ metadata, thumbnails }) {
+  const details = [
+    metadata.duration && formatTimecode(metadata.duration),
+    metadata.width && `${metadata.width}×${metadata.height}`,
+    metadata.frameRate && `${metadata.frameRate} fps`,
+    [
+      metadata.container?.toUpperCase(),
+      metadata.videoCodec,
+      metadata.audioCodec,
+    ]
+      .filter(Boolean)
+      .join(" · "),
+  ].filter(Boolean);
+
+  return (
+    <div className="mt-2 flex gap-3">
+      {thumbnails?.poster && (
+        <img
+          src={thumbnails.poster}
+          alt=""
+          className="w-32 h-18 object-cover rounded bg-black shrink-0"
+        />
+      )}
+      <div className="min-w-0 text-xs text-gray-600">
+        <ul className="space-y-0.5">
+          {details.map((detail) => (
+            <li key={detail}>{detail}</li>
+          ))}
+        </ul>
+        {thumbnails?.scrubs.length > 0 && (
+          <div className="mt-1 flex gap-1">
+            {thumbnails.scrubs.map((scrub) => (
+              <img
+                key={scrub}
+                src={scrub}
+                alt=""
+                className="w-12 h-7 object-cover rounded bg-black"
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default VideoPreviewCard;
@@ -0,0 +1,423 @@
+import {
+  useMemo,
+  useRef,
+  useState,
+  useEffect,
+  useSyncExternalStore,
+} from "react";
+import { useUploader } from "../hooks/useUploader";
+import { isItemFinished } from "../services/uploadQueue";
+import { validationPolicyStore } from "../services/validationPolicy";
+import {
+  TRANSCODE_PRESETS,
+  isTranscodingSupported,
+} from "../services/transcoder";
+import {
+  notificationsEnabled,
+  notificationsSupported,
+  notifyUploadFinished,
+  setNotificationsEnabled,
+} from "../services/notifications";
+import UploadQueueItem from "./UploadQueueItem";
+import { formatSpeed, formatTransfer } from "../utils/format";
+import { uploadConfig } from "../config/uploadConfig";
+import { getAcceptAttribute } from "../utils/fileValidation";
+import { showTabProgress, clearTabProgress } from "../utils/tabProgress";
+import {
+  collectChosenFiles,
+  collectDroppedFiles,
+  createPathFilter,
+} from "../utils/folderFiles";
+
+// Speed caps offered in the speed limit select, in bytes per second
+const SPEED_LIMITS = [256, 512, 1024, 2048, 5120, 10240, 25600].map(
+  (kilobytes) => kilobytes * 1024
+);
+
+// Theme values used when the embedder does not set them
+const DEFAULT_THEME = {
+  accentColor: "#3b82f6",
+  borderRadius: "0.5rem",
+  fontFamily: "inherit",
+};
+
+/**
+ * Explain why files cannot be uploaded yet
+ * @param {Object} health - Health monitor state
+ * @returns {string} - Message for the user
+ */
+const getNotReadyMessage = (health) => {
+  switch (health.status) {
+    case "offline":
+      return health.online
+        ? "Backend server is offline. Please start the backend server."
+        : "You are offline. Please check your internet connection.";
+    case "s3-not-configured":
+      return "S3 is not configured on the backend. Please check AWS credentials.";
+    case "checking":
+      return "Still checking backend status. Please wait.";
+    default:
+      return "Backend is not ready.";
+  }
+};
+
+/**
+ * Drop-in uploader: file picker, queue with per-file controls and overall
+ * progress
+ *
+ * Creates its own Uploader from the props (read on mount, except userId
+ * and the callbacks), or drives the one passed as `uploader`. `theme` sets
+ * { accentColor, borderRadius, fontFamily }; `tabProgress`,
+ * `confirmLeave` and `notifications` turn the page-level integrations off
+ * when false. Dropped and chosen folders are uploaded with their paths;
+ * `folderFilter` sets the { include, exclude } patterns of createPathFilter.
+ */
+function VideoUploader({
+  theme,
+  className = "",
+  tabProgress = true,
+  confirmLeave = true,
+  notifications = true,
+  folderFilter,
+  ...options
+}) {
+  const { uploader, items, health, progress } = useUploader(options);
+  const [notice, setNotice] = useState(null);
+  const [concurrency, setConcurrency] = useState(uploader.queue.concurrency);
+  const [transcodePreset, setTranscodePreset] = useState(
+    uploader.queue.transcodePreset
+  );
+  const [speedLimit, setSpeedLimit] = useState(uploadConfig.bandwidthLimit);
+  const [startMode, setStartMode] = useState("now");
+  const [startTime, setStartTime] = useState("");
+  const [notify, setNotify] = useState(notificationsEnabled);
+  const validationPolicy = useSyncExternalStore(
+    validationPolicyStore.subscribe,
+    validationPolicyStore.getPolicy
+  );
+  const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const pathFilter = useMemo(
+    () => createPathFilter(folderFilter),
+    [folderFilter]
+  );
+  const ready = uploader.isReady();
+  const uploading = items.some((item) => !isItemFinished(item));
+  const hasFailures = items.some((item) => item.status === "error");
+
+  useEffect(() => {
+    if (!notifications) return;
+
+    const unsubscribers = [
+      uploader.onUploadCompleted(notifyUploadFinished),
+      uploader.onUploadFailed(notifyUploadFinished),
+    ];
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [uploader, notifications]);
+
+  // Show progress in the tab so it can be followed from other tabs
+  useEffect(() => {
+    if (!tabProgress) return;
+
+    if (uploading) {
+      showTabProgress(progress.percent, { failed: hasFailures });
+    } else {
+      clearTabProgress();
+    }
+  }, [tabProgress, uploading, progress.percent, hasFailures]);
+
+  useEffect(() => clearTabProgress, []);
+
+  // Warn before leaving the page while uploads are running
+  useEffect(() => {
+    if (!confirmLeave || !uploading) return;
+
+    const onBeforeUnload = (e) => {
+      e.preventDefault();
+      // Older browsers show the prompt only when returnValue is set
+      e.returnValue = "";
+    };
+    window.addEventListener("beforeunload", onBeforeUnload);
+    return () => window.removeEventListener("beforeunload", onBeforeUnload);
+  }, [confirmLeave, uploading]);
+
+  const handleFiles = (files) => {
+    if (!files || files.length === 0) {
+      setNotice("No files to upload. System and sidecar files are skipped.");
+      return;
+    }
+
+    if (!ready) {
+      setNotice(`Cannot upload: ${getNotReadyMessage(health)}`);
+      return;
+    }
+
+    if (startMode === "at" && !startTime) {
+      setNotice("Choose a start time for the upload.");
+      return;
+    }
+
+    setNotice(null);
+    uploader.upload(
+      files,
+      startMode === "idle"
+        ? { whenIdle: true }
+        : startMode === "at"
+        ? { startAt: new Date(startTime).getTime() }
+        : {}
+    );
+  };
+
+  const onDrop = async (e) => {
+    e.preventDefault();
+    if (e.dataTransfer.files.length === 0) return;
+
+    try {
+      handleFiles(await collectDroppedFiles(e.dataTransfer, pathFilter));
+    } catch (error) {
+      console.error("Failed to read dropped folder:", error);
+      setNotice("Could not read the dropped folder. Please try again.");
+    }
+  };
+
+  const onChoose = (e) => {
+    const hadFiles = e.target.files.length > 0;
+    const files = collectChosenFiles(e.target.files, pathFilter);
+    // Reset the input so the same files can be chosen again
+    e.target.value = "";
+    if (hadFiles) handleFiles(files);
+  };
+
+  const handleConcurrencyChange = (e) => {
+    const value = Number(e.target.value);
+    setConcurrency(value);
+    uploader.setConcurrency(value);
+  };
+
+  const handleTranscodeChange = (e) => {
+    const value = e.target.value || null;
+    setTranscodePreset(value);
+    uploader.setTranscodePreset(value);
+  };
+
+  const handleSpeedLimitChange = (e) => {
+    const value = Number(e.target.value) || null;
+    setSpeedLimit(value);
+    uploader.setBandwidthLimit(value);
+  };
+
+  const handleNotifyChange = async (e) => {
+    const requested = e.target.checked;
+    const enabled = await setNotificationsEnabled(requested);
+    setNotify(enabled);
+    if (requested && !enabled) {
+      setNotice(
+        "Notifications are blocked. Allow them in your browser's site settings."
+      );
+    }
+  };
+
+  const doneCount = items.filter((item) => item.status === "done").length;
+  const finishedCount = items.filter(isItemFinished).length;
+  const themeValues = { ...DEFAULT_THEME, ...theme };
+
+  return (
+    <div
+      className={className}
+      style={{
+        "--vu-accent": themeValues.accentColor,
+        "--vu-radius": themeValues.borderRadius,
+        fontFamily: themeValues.fontFamily,
+      }}
+    >
+      {notice && (
+        <div
+          role="alert"
+          className="mb-4 p-3 rounded-(--vu-radius) border border-red-200 bg-red-50 flex justify-between gap-2 text-sm text-red-700"
+        >
+          <span>{notice}</span>
+          <button
+            onClick={() => setNotice(null)}
+            className="shrink-0 text-red-500 hover:text-red-700"
+            aria-label="Dismiss"
+          >
+            ×
+          </button>
+        </div>
+      )}
+
+      <div
+        onDrop={onDrop}
+        onDragOver={(e) => e.preventDefault()}
+        className={`border-2 border-dashed rounded-(--vu-radius) p-8 text-center cursor-pointer transition-colors ${
+          ready
+            ? "border-gray-300 hover:border-(--vu-accent)"
+            : "border-gray-200 cursor-not-allowed opacity-50"
+        }`}
+        onClick={() => ready && fileInputRef.current.click()}
+      >
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={getAcceptAttribute(validationPolicy)}
+          multiple
+          className="hidden"
+          onChange={onChoose}
+          disabled={!ready}
+        />
+        <p className="text-gray-600">
+          {ready
+            ? "Drag & drop videos, or click to choose"
+            : "Please wait for backend to be ready..."}
+        </p>
+      </div>
+
+      <div className="mt-4 flex items-center justify-end gap-2 text-sm text-gray-600">
+        <input
+          ref={folderInputRef}
+          type="file"
+          webkitdirectory=""
+          className="hidden"
+          onChange={onChoose}
+          disabled={!ready}
+        />
+        <button
+          onClick={() => folderInputRef.current.click()}
+          disabled={!ready}
+          className="mr-auto underline hover:text-gray-800 disabled:opacity-50"
+        >
+          Choose folder
+        </button>
+        {notifications && notificationsSupported() && (
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={notify}
+              onChange={handleNotifyChange}
+            />
+            Notify me when uploads finish
+          </label>
+        )}
+        {isTranscodingSupported() && (
+          <>
+            <label htmlFor="transcode-preset">Compress:</label>
+            <select
+              id="transcode-preset"
+              value={transcodePreset ?? ""}
+              onChange={handleTranscodeChange}
+              className="border rounded px-2 py-1"
+            >
+              <option value="">Off</option>
+              {Object.entries(TRANSCODE_PRESETS).map(([key, preset]) => (
+                <option key={key} value={key}>
+                  {preset.label}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+        <label htmlFor="concurrency">Parallel uploads:</label>
+        <select
+          id="concurrency"
+          value={concurrency}
+          onChange={handleConcurrencyChange}
+          className="border rounded px-2 py-1"
+        >
+          {[1, 2, 3, 4, 5, 6].map((n) => (
+            <option key={n} value={n}>
+              {n}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="mt-2 flex items-center justify-end gap-2 text-sm text-gray-600">
+        <label htmlFor="start-mode">Start:</label>
+        <select
+          id="start-mode"
+          value={startMode}
+          onChange={(e) => setStartMode(e.target.value)}
+          className="border rounded px-2 py-1"
+        >
+          <option value="now">Right away</option>
+          <option value="idle">While I'm away</option>
+          <option value="at">At a set time</option>
+        </select>
+        {startMode === "at" && (
+          <input
+            type="datetime-local"
+            aria-label="Start time"
+            value={startTime}
+            onChange={(e) => setStartTime(e.target.value)}
+            className="border rounded px-2 py-1"
+          />
+        )}
+        <label htmlFor="speed-limit">Speed limit:</label>
+        <select
+          id="speed-limit"
+          value={speedLimit ?? ""}
+          onChange={handleSpeedLimitChange}
+          className="border rounded px-2 py-1"
+        >
+          <option value="">None</option>
+          {[...new Set([...SPEED_LIMITS, speedLimit].filter(Boolean))].map(
+            (limit) => (
+              <option key={limit} value={limit}>
+                {formatSpeed(limit)}
+              </option>
+            )
+          )}
+        </select>
+      </div>
+
+      {items.length > 0 && (
+        <div className="mt-6">
+          <div className="flex justify-between text-sm">
+            <span className="text-gray-500">
+              {doneCount} of {items.length} files uploaded
+            </span>
+            {finishedCount > 0 && (
+              <button
+                onClick={() => uploader.clearFinished()}
+                className="text-gray-500 hover:text-gray-700 underline"
+              >
+                Clear finished
+              </button>
+            )}
+          </div>
+          <div className="mt-3 h-4 bg-gray-100 rounded overflow-hidden">
+            <div
+              style={{ width: `${progress.percent}%` }}
+              className="h-full bg-(--vu-accent) transition-all"
+            />
+          </div>
+          <div className="mt-2 flex justify-between text-sm text-gray-600">
+            <span>{progress.percent}%</span>
+            <span>{formatTransfer(progress)}</span>
+          </div>
+
+          <ul className="mt-4 space-y-3">
+            {items.map((item) => (
+              <UploadQueueItem
+                key={item.id}
+                item={item}
+                transcodePreset={transcodePreset}
+                onPause={(id) => uploader.pause(id)}
+                onResume={(id) => uploader.resume(id)}
+                onCancel={(id) => uploader.cancel(id)}
+                onRetry={(id) => uploader.retry(id)}
+                onStartNow={(id) => uploader.startNow(id)}
+                onResolveDuplicate={(id, action) =>
+                  uploader.resolveDuplicate(id, action)
+                }
+                onRemove={(id) => uploader.remove(id)}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default VideoUploader;
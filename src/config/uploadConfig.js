@@ -0,0 +1,41 @@
+// Upload tuning, read at upload time so it can be changed without a rebuild
+const MB = 1024 * 1024;
+
+const env = import.meta.env;
+
+/**
+ * Current upload configuration
+ * Defaults come from VITE_* environment variables; use configureUploads()
+ * to change values at runtime.
+ */
+export const uploadConfig = {
+  // Files larger than this use multipart upload
+  multipartThreshold: (Number(env.VITE_MULTIPART_THRESHOLD_MB) || 50) * MB,
+  // Fixed multipart part size; null lets the client pick one per file (and
+  // size parts to the speed cap, which a fixed size does not follow)
+  partSize: Number(env.VITE_MULTIPART_PART_SIZE_MB) * MB || null,
+  // Number of multipart parts uploaded in parallel
+  partConcurrency: Number(env.VITE_MULTIPART_CONCURRENCY) || 4,
+  // Number of files uploaded at the same time
+  queueConcurrency: Number(env.VITE_QUEUE_CONCURRENCY) || 2,
+  // Checksum S3 verifies on every PUT: "md5", "sha256" or "none"
+  checksumAlgorithm: env.VITE_UPLOAD_CHECKSUM || "md5",
+  // Hand multipart transfers to a Service Worker so they survive navigation
+  backgroundUploads: env.VITE_BACKGROUND_UPLOADS === "true",
+  // Upload speed cap shared by all uploads, in bytes per second; null for
+  // no cap
+  bandwidthLimit: Number(env.VITE_BANDWIDTH_LIMIT_KBPS) * 1024 || null,
+  // Hash files before upload and reuse earlier uploads of the same content
+  deduplicate: env.VITE_DEDUPLICATE === "true",
+  // Compress videos in the browser before upload with this preset (see
+  // TRANSCODE_PRESETS); null uploads the original files
+  transcodePreset: env.VITE_TRANSCODE_PRESET || null,
+};
+
+/**
+ * Override upload configuration values at runtime
+ * @param {Object} overrides - Config keys to change
+ * @returns {Object} - The updated configuration
+ */
+export const configureUploads = (overrides) =>
+  Object.assign(uploadConfig, overrides);
@@ -0,0 +1,113 @@
+// <video-uploader> custom element for pages that do not use React
+import { createRoot } from "react-dom/client";
+import VideoUploader from "./components/VideoUploader";
+import "./lib.css";
+
+// Uploader callbacks and the DOM events they are re-dispatched as
+const EVENTS = {
+  onUploadStarted: "upload-started",
+  onUploadProgress: "upload-progress",
+  onUploadCompleted: "upload-completed",
+  onUploadFailed: "upload-failed",
+};
+
+/**
+ * Renders VideoUploader into the element
+ *
+ * Attributes: `api-base-url` (read when connected) and `user-id`.
+ * Properties: `policy`, `auth` and `config` (read when connected) and
+ * `theme`. Upload lifecycle callbacks are dispatched as bubbling
+ * "upload-started", "upload-progress", "upload-completed" and
+ * "upload-failed" events with the queue item as `detail`.
+ */
+export class VideoUploaderElement extends HTMLElement {
+  static observedAttributes = ["user-id"];
+
+  constructor() {
+    super();
+    this.root = null;
+    this.options = {};
+  }
+
+  get policy() {
+    return this.options.policy;
+  }
+
+  set policy(policy) {
+    this.options.policy = policy;
+  }
+
+  get auth() {
+    return this.options.auth;
+  }
+
+  set auth(auth) {
+    this.options.auth = auth;
+  }
+
+  get config() {
+    return this.options.config;
+  }
+
+  set config(config) {
+    this.options.config = config;
+  }
+
+  get theme() {
+    return this.options.theme;
+  }
+
+  set theme(theme) {
+    this.options.theme = theme;
+    this.render();
+  }
+
+  connectedCallback() {
+    this.root = createRoot(this);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    this.root?.unmount();
+    this.root = null;
+  }
+
+  attributeChangedCallback() {
+    this.render();
+  }
+
+  render() {
+    if (!this.root) return;
+
+    const callbacks = Object.fromEntries(
+      Object.entries(EVENTS).map(([callback, type]) => [
+        callback,
+        (item) =>
+          this.dispatchEvent(
+            new CustomEvent(type, { detail: item, bubbles: true })
+          ),
+      ])
+    );
+
+    this.root.render(
+      <VideoUploader
+        {...this.options}
+        {...callbacks}
+        apiBaseUrl={this.getAttribute("api-base-url") || undefined}
+        userId={this.getAttribute("user-id") ?? undefined}
+      />
+    );
+  }
+}
+
+/**
+ * Register the custom element
+ * @param {string} tagName - Element name (default: "video-uploader")
+ */
+export const defineVideoUploaderElement = (tagName = "video-uploader") => {
+  if (!customElements.get(tagName)) {
+    customElements.define(tagName, VideoUploaderElement);
+  }
+};
+
+defineVideoUploaderElement();
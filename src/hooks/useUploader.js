@@ -0,0 +1,68 @@
+// React bindings for the Uploader engine
+import { useEffect, useRef, useState, useSyncExternalStore } from "react";
+import { Uploader } from "../services/uploader";
+import { getAggregateProgress } from "../services/uploadQueue";
+
+// Lifecycle callback props and the Uploader method that registers each
+const EVENT_CALLBACKS = {
+  onUploadStarted: "started",
+  onUploadProgress: "progress",
+  onUploadCompleted: "completed",
+  onUploadFailed: "failed",
+};
+
+/**
+ * Create an Uploader for the lifetime of a component and follow its state
+ * @param {Object} options - Uploader options (see Uploader), read once,
+ *   plus the props below which may change between renders
+ * @param {Uploader} options.uploader - Use this uploader instead of creating
+ *   one; the caller starts and destroys it
+ * @param {string} options.userId - ID of the user who owns new uploads
+ * @param {Function} options.onUploadStarted - Called with the queue item
+ * @param {Function} options.onUploadProgress - Called with the queue item
+ * @param {Function} options.onUploadCompleted - Called with the queue item
+ * @param {Function} options.onUploadFailed - Called with the queue item
+ * @returns {Object} - { uploader, items, health, progress }
+ */
+export const useUploader = (options = {}) => {
+  const { uploader: externalUploader, userId } = options;
+  const [ownUploader] = useState(() =>
+    externalUploader ? null : new Uploader(options)
+  );
+  const uploader = externalUploader ?? ownUploader;
+
+  // Callbacks are read when events fire, so new functions on every render
+  // do not resubscribe
+  const callbacksRef = useRef(options);
+  useEffect(() => {
+    callbacksRef.current = options;
+  });
+
+  useEffect(() => {
+    if (!ownUploader) return;
+    ownUploader.start();
+    return () => ownUploader.destroy();
+  }, [ownUploader]);
+
+  useEffect(() => {
+    if (userId !== undefined) {
+      uploader.setUserId(userId);
+    }
+  }, [uploader, userId]);
+
+  useEffect(() => {
+    const unsubscribers = Object.entries(EVENT_CALLBACKS).map(
+      ([callback, type]) =>
+        uploader.on(type, (item) => callbacksRef.current[callback]?.(item))
+    );
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [uploader]);
+
+  const items = useSyncExternalStore(uploader.subscribe, uploader.getItems);
+  const health = useSyncExternalStore(
+    uploader.subscribeHealth,
+    uploader.getHealth
+  );
+
+  return { uploader, items, health, progress: getAggregateProgress(items) };
+};
@@ -0,0 +1,11 @@
+// Library entry point for embedding the uploader in other apps
+import "./lib.css";
+
+export { Uploader } from "./services/uploader";
+export { useUploader } from "./hooks/useUploader";
+export { default as VideoUploader } from "./components/VideoUploader";
+export { default as apiClient } from "./services/api";
+export { configureUploads, uploadConfig } from "./config/uploadConfig";
+export { registerStorageProvider } from "./services/providers";
+export { getErrorMessage } from "./utils/errorMessages";
+export * from "./utils/errors";
@@ -3,6 +3,17 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 
+// Mock mode: VITE_MOCK_BACKEND=true, or ?mock in the page URL on the dev
+// server. Both are replaced at build time, so production builds leave the mock
+// out unless VITE_MOCK_BACKEND is set
+if (
+  import.meta.env.VITE_MOCK_BACKEND === 'true' ||
+  (import.meta.env.DEV && new URLSearchParams(location.search).has('mock'))
+) {
+  const { installMockBackend } = await import('./mocks/mockBackend')
+  installMockBackend()
+}
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
@@ -0,0 +1,259 @@
+// In-memory stand-in for Azure Blob Storage: SAS URLs with an expiry, Put
+// Blob, and block uploads staged with Put Block and committed with Put
+// Block List
+import { hexToBase64, md5Hex, randomHex, toBlob } from "./mockS3";
+
+// Origin of the mock storage account's blob URLs
+export const MOCK_AZURE_ORIGIN = "https://mock-azure.invalid";
+
+const CONTAINER = "mock-container";
+
+// Block IDs decode to at most this many bytes
+const MAX_BLOCK_ID_BYTES = 64;
+
+/**
+ * Build an Azure Storage XML error response
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code, e.g. "AuthenticationFailed"
+ * @param {string} message - Error message
+ * @returns {Object} - Mock response { status, headers, body }
+ */
+export const azureErrorResponse = (status, code, message) => ({
+  status,
+  headers: { "Content-Type": "application/xml", "x-ms-error-code": code },
+  body:
+    `<?xml version="1.0" encoding="utf-8"?><Error><Code>${code}</Code>` +
+    `<Message>${message}\nRequestId:${crypto.randomUUID()}</Message></Error>`,
+});
+
+/**
+ * Decode a block ID, or return null if it is not valid base64
+ * @param {string} blockId - Base64 block ID
+ * @returns {string|null} - Decoded block ID
+ */
+const decodeBlockId = (blockId) => {
+  try {
+    return atob(blockId);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Mock storage account
+ *
+ * SAS URLs carry `se` (signed expiry) and a `sig` the account remembers,
+ * so expired URLs get Azure's 403 AuthenticationFailed. Put Block checks
+ * that block IDs are base64 and the same length within a blob, and
+ * Content-MD5 for both blocks and whole blobs. Put Block List commits the
+ * listed staged blocks in order and rejects unknown ones.
+ */
+export class MockAzure {
+  /**
+   * @param {Map} objects - Where committed blobs are stored by key, as
+   *   { blob, etag } with the MD5 as etag
+   */
+  constructor(objects) {
+    this.objects = objects;
+    this.stagedBlocks = new Map();
+    this.signatures = new Map();
+  }
+
+  /**
+   * Sign a blob URL with a SAS token that allows writing the blob
+   * @param {string} key - Blob name
+   * @param {number} expiresIn - Lifetime in seconds
+   * @returns {string} - Blob URL with SAS token
+   */
+  signBlobUrl(key, expiresIn) {
+    const url = new URL(
+      `/${CONTAINER}/${key.split("/").map(encodeURIComponent).join("/")}`,
+      MOCK_AZURE_ORIGIN
+    );
+    const signature = randomHex(32);
+    url.searchParams.set("sv", "2023-11-03");
+    url.searchParams.set("sr", "b");
+    url.searchParams.set("sp", "cw");
+    url.searchParams.set(
+      "se",
+      new Date(Date.now() + expiresIn * 1000)
+        .toISOString()
+        .replace(/\.\d{3}/, "")
+    );
+    url.searchParams.set("sig", signature);
+    this.signatures.set(signature, key);
+    return url.toString();
+  }
+
+  /**
+   * Check a request's SAS token
+   * @param {URL} url - Request URL
+   * @returns {Object} - { key } of the signed blob, or { error } with the
+   *   403 response
+   */
+  authorize(url) {
+    const key = url.pathname
+      .slice(`/${CONTAINER}/`.length)
+      .split("/")
+      .map(decodeURIComponent)
+      .join("/");
+
+    if (this.signatures.get(url.searchParams.get("sig")) !== key) {
+      return {
+        error: azureErrorResponse(
+          403,
+          "AuthenticationFailed",
+          "Server failed to authenticate the request. Make sure the value of Authorization header is formed correctly including the signature."
+        ),
+      };
+    }
+    if (Date.now() > Date.parse(url.searchParams.get("se"))) {
+      return {
+        error: azureErrorResponse(
+          403,
+          "AuthenticationFailed",
+          "Signature not valid in the specified time frame"
+        ),
+      };
+    }
+    return { key };
+  }
+
+  /**
+   * Check a body against its Content-MD5 header
+   * @param {Blob} blob - Request body
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} - { md5 } hex digest, or { error } with the
+   *   400 response
+   */
+  async checkContentMd5(blob, headers) {
+    const md5 = await md5Hex(blob);
+    if (headers["content-md5"] && headers["content-md5"] !== hexToBase64(md5)) {
+      return {
+        error: azureErrorResponse(
+          400,
+          "Md5Mismatch",
+          "The MD5 value specified in the request did not match with the MD5 value calculated by the server."
+        ),
+      };
+    }
+    return { md5 };
+  }
+
+  /**
+   * Respond to a committed blob
+   * @param {string} key - Blob name
+   * @param {Blob} blob - Blob data
+   * @param {string} md5 - Hex MD5 of the data
+   * @returns {Object} - 201 response with the blob's ETag
+   */
+  commitBlob(key, blob, md5) {
+    this.objects.set(key, { blob, etag: md5 });
+    this.stagedBlocks.delete(key);
+    return {
+      status: 201,
+      headers: {
+        ETag: `"0x8D${randomHex(7).toUpperCase()}"`,
+        "Content-MD5": hexToBase64(md5),
+      },
+      body: "",
+    };
+  }
+
+  async putBlock(key, url, headers, body) {
+    const blockId = url.searchParams.get("blockid") || "";
+    const decoded = decodeBlockId(blockId);
+    const [otherId] = this.stagedBlocks.get(key)?.keys() ?? [];
+    if (
+      !decoded ||
+      decoded.length > MAX_BLOCK_ID_BYTES ||
+      (otherId !== undefined && otherId.length !== blockId.length)
+    ) {
+      return azureErrorResponse(
+        400,
+        "InvalidBlobOrBlock",
+        "The specified blob or block content is invalid."
+      );
+    }
+
+    const blob = toBlob(body);
+    const { md5, error } = await this.checkContentMd5(blob, headers);
+    if (error) return error;
+
+    // Read again after hashing: other blocks may have been staged meanwhile
+    const blocks = this.stagedBlocks.get(key) || new Map();
+    blocks.set(blockId, blob);
+    this.stagedBlocks.set(key, blocks);
+    return {
+      status: 201,
+      headers: { "Content-MD5": hexToBase64(md5) },
+      body: "",
+    };
+  }
+
+  async putBlockList(key, headers, body) {
+    const blocks = this.stagedBlocks.get(key) || new Map();
+    const blockIds = [
+      ...String(body ?? "").matchAll(
+        /<(Latest|Uncommitted|Committed)>([^<]*)<\/\1>/g
+      ),
+    ].map((match) => match[2]);
+
+    if (blockIds.some((blockId) => !blocks.has(blockId))) {
+      return azureErrorResponse(
+        400,
+        "InvalidBlockList",
+        "The specified block list is invalid."
+      );
+    }
+
+    const blob = new Blob(
+      blockIds.map((blockId) => blocks.get(blockId)),
+      { type: headers["x-ms-blob-content-type"] || "" }
+    );
+    return this.commitBlob(key, blob, await md5Hex(blob));
+  }
+
+  async putBlob(key, headers, body) {
+    if (headers["x-ms-blob-type"] !== "BlockBlob") {
+      return azureErrorResponse(
+        400,
+        "MissingRequiredHeader",
+        "An HTTP header that's mandatory for this request is not specified."
+      );
+    }
+
+    const blob = toBlob(body, headers["content-type"]);
+    const { md5, error } = await this.checkContentMd5(blob, headers);
+    if (error) return error;
+    return this.commitBlob(key, blob, md5);
+  }
+
+  /**
+   * Handle a request to a blob URL
+   * @param {Object} request - { method, url, headers, body }; header names
+   *   are lower case
+   * @returns {Promise<Object>} - Mock response { status, headers, body }
+   */
+  async handle({ method, url, headers, body }) {
+    const { key, error } = this.authorize(url);
+    if (error) return error;
+
+    if (method !== "PUT") {
+      return azureErrorResponse(
+        400,
+        "UnsupportedHttpVerb",
+        "The resource doesn't support specified Http Verb."
+      );
+    }
+
+    switch (url.searchParams.get("comp")) {
+      case "block":
+        return this.putBlock(key, url, headers, body);
+      case "blocklist":
+        return this.putBlockList(key, headers, body);
+      default:
+        return this.putBlob(key, headers, body);
+    }
+  }
+}
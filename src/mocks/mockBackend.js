@@ -0,0 +1,924 @@
+// In-browser mock of the upload backend and its storage (S3, GCS, Azure or
+// tus), for working on the uploader and demoing it without a server or
+// cloud credentials
+import apiClient from "../services/api";
+import { DEFAULT_VALIDATION_POLICY } from "../services/validationPolicy";
+import { configureUploads } from "../config/uploadConfig";
+import {
+  MIN_PART_SIZE,
+  MOCK_S3_ORIGIN,
+  MockS3,
+  s3ErrorResponse,
+} from "./mockS3";
+import {
+  GCS_CHUNK_MULTIPLE,
+  MOCK_GCS_ORIGIN,
+  MockGcs,
+  gcsErrorResponse,
+} from "./mockGcs";
+import { MOCK_AZURE_ORIGIN, MockAzure, azureErrorResponse } from "./mockAzure";
+import { MOCK_TUS_ORIGIN, MockTus, tusErrorResponse } from "./mockTus";
+import {
+  MockNetworkError,
+  createMockFetch,
+  createMockXMLHttpRequest,
+} from "./mockTransport";
+
+// Base URL the API client is pointed at while the mock is installed
+export const MOCK_API_ORIGIN = "https://mock-backend.invalid";
+
+const SETTINGS_STORAGE_KEY = "uploader:mock-backend";
+
+const MB = 1024 * 1024;
+
+// Part size used when the client does not ask for one
+const DEFAULT_PART_SIZE = 16 * MB;
+
+// S3's limit on the number of parts of one upload
+const MAX_PARTS = 10000;
+
+/**
+ * Default behaviour of the mock; every value can be changed with
+ * mockBackend.configure()
+ */
+const DEFAULT_SETTINGS = {
+  // Delay added to every API response, in ms
+  latency: 150,
+  // Simulated transfer speed of storage uploads, in bytes per second
+  uploadSpeed: 20 * MB,
+  // Lifetime of presigned URLs, in seconds
+  urlExpiresIn: 3600,
+  // Lifetime of access tokens, in seconds
+  tokenExpiresIn: 900,
+  // Share of API requests answered with 503 Service Unavailable
+  apiErrorRate: 0,
+  // Share of storage PUTs answered with 503 SlowDown
+  storageErrorRate: 0,
+  // Share of requests that fail like a dropped connection
+  networkErrorRate: 0,
+  // Every request fails like a dropped connection
+  offline: false,
+  // Reported by the health check; presigning fails when false
+  s3Configured: true,
+  // Storage new uploads go to: "s3", "gcs", "azure" or "tus"
+  provider: "s3",
+};
+
+const loadSettings = () => {
+  try {
+    return {
+      ...DEFAULT_SETTINGS,
+      ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)),
+    };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+let settings = loadSettings();
+let uploads = new Map();
+let injectedFaults = [];
+let installed = false;
+let s3;
+let gcs;
+let azure;
+let tus;
+
+// The storage mocks share the bucket's objects, so every upload is
+// confirmed, downloaded and deleted the same way
+const createStorage = () => {
+  s3 = new MockS3();
+  gcs = new MockGcs(s3.objects);
+  azure = new MockAzure(s3.objects);
+  // Like a tus server's pre-create hook, only accept uploads the backend
+  // started, and store them under the key it chose
+  tus = new MockTus(s3.objects, (metadata) => {
+    const upload = uploads.get(metadata.uploadId);
+    return upload?.provider === "tus" ? upload.s3Key : null;
+  });
+};
+createStorage();
+
+const delay = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+
+const ok = (data) => ({ status: 200, body: { success: true, data } });
+
+const fail = (status, code, message) => ({
+  status,
+  body: { success: false, error: { code, message } },
+});
+
+/**
+ * Take the next injected fault for a target, if any
+ * @param {string} target - "api" or "storage"
+ * @returns {Object|null} - { status, code, message }
+ */
+const takeInjectedFault = (target) => {
+  const index = injectedFaults.findIndex((fault) => fault.target === target);
+  if (index === -1) return null;
+
+  const [fault] = injectedFaults.splice(index, 1);
+  return fault;
+};
+
+const isNetworkFault = () =>
+  settings.offline || Math.random() < settings.networkErrorRate;
+
+const createAccessToken = (userId) =>
+  `mock-access:${Date.now() + settings.tokenExpiresIn * 1000}:${userId}`;
+
+/**
+ * Read the user of a request's bearer token
+ * @param {Object} headers - Request headers
+ * @returns {Object} - { userId } (null without a token), or { expired }
+ *   for a token that is no longer valid
+ */
+const authenticate = (headers) => {
+  const token = /^Bearer (.+)$/.exec(headers.authorization || "")?.[1];
+  if (!token) return { userId: null };
+
+  const [, expiresAt, userId] = /^mock-access:(\d+):(.+)$/.exec(token) || [];
+  if (!userId || Number(expiresAt) < Date.now()) return { expired: true };
+  return { userId };
+};
+
+const createSession = (userId) => ({
+  accessToken: createAccessToken(userId),
+  refreshToken: `mock-refresh:${userId}`,
+  user: { id: userId, email: userId, name: userId.split("@")[0] },
+});
+
+// Newest first; upload IDs break ties between uploads created in the same
+// millisecond
+const compareUploadsNewestFirst = (a, b) =>
+  b.createdAt.localeCompare(a.createdAt) ||
+  b.uploadId.localeCompare(a.uploadId);
+
+const encodeCursor = (upload) =>
+  btoa(JSON.stringify([upload.createdAt, upload.uploadId]));
+
+const decodeCursor = (cursor) => {
+  try {
+    const [createdAt, uploadId] = JSON.parse(atob(cursor));
+    return { createdAt: String(createdAt), uploadId: String(uploadId) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Public fields of an upload record, as the real backend returns them
+ * @param {Object} upload - Upload record
+ * @returns {Object} - Upload without the mock's bookkeeping
+ */
+const toPublicUpload = (upload) => ({
+  uploadId: upload.uploadId,
+  userId: upload.userId,
+  fileName: upload.fileName,
+  fileSize: upload.fileSize,
+  contentType: upload.contentType,
+  relativePath: upload.relativePath,
+  contentHash: upload.contentHash,
+  sourceUploadId: upload.sourceUploadId,
+  provider: upload.provider,
+  s3Key: upload.s3Key,
+  status: upload.status,
+  etag: upload.etag,
+  thumbnailKey: upload.thumbnailKey,
+  metadata: upload.metadata,
+  createdAt: upload.createdAt,
+  completedAt: upload.completedAt,
+});
+
+/**
+ * Object URL standing in for a presigned download URL; revoked when it
+ * "expires"
+ * @param {string} s3Key - Object key
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {string|null} - blob: URL, or null if the object does not exist
+ */
+const createDownloadUrl = (s3Key, expiresIn = 3600) => {
+  const object = s3.getObject(s3Key);
+  if (!object) return null;
+
+  const url = URL.createObjectURL(object.blob);
+  setTimeout(
+    () => URL.revokeObjectURL(url),
+    Math.min(expiresIn * 1000, 2 ** 31 - 1)
+  );
+  return url;
+};
+
+const createUpload = (body, userId, type, provider = "s3") => {
+  const uploadId = crypto.randomUUID();
+  const owner = userId || body.userId || "anonymous";
+  const upload = {
+    uploadId,
+    userId: owner,
+    fileName: body.fileName,
+    fileSize: body.fileSize ?? null,
+    contentType: body.contentType,
+    relativePath: body.relativePath ?? null,
+    contentHash: body.contentHash ?? null,
+    sourceUploadId: null,
+    provider,
+    s3Key: `uploads/${owner}/${uploadId}/${body.relativePath || body.fileName}`,
+    status: "pending",
+    type,
+    etag: null,
+    thumbnailKey: null,
+    metadata: null,
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+  };
+  uploads.set(uploadId, upload);
+  return upload;
+};
+
+const getPartUrls = (upload, partNumbers) =>
+  partNumbers.map((partNumber) => ({
+    partNumber,
+    presignedUrl: s3.presign("PUT", upload.s3Key, settings.urlExpiresIn, {
+      partNumber,
+      uploadId: upload.s3UploadId,
+    }),
+  }));
+
+const completeUpload = (upload, { etag, checksum, metadata }) => {
+  Object.assign(upload, {
+    status: "completed",
+    etag,
+    fileSize: s3.getObject(upload.s3Key).blob.size,
+    checksum: checksum ?? null,
+    metadata: metadata ?? null,
+    completedAt: new Date().toISOString(),
+  });
+  return ok({
+    ...toPublicUpload(upload),
+    downloadUrl: createDownloadUrl(upload.s3Key),
+  });
+};
+
+/**
+ * Signed URL for a single-request upload to the upload's storage
+ * @param {Object} upload - Upload record
+ * @returns {string} - Upload URL
+ */
+const getSingleUploadUrl = (upload) => {
+  switch (upload.provider) {
+    case "gcs":
+      return gcs.signUrl(upload.s3Key, settings.urlExpiresIn);
+    case "azure":
+      return azure.signBlobUrl(upload.s3Key, settings.urlExpiresIn);
+    default:
+      return s3.presign("PUT", upload.s3Key, settings.urlExpiresIn);
+  }
+};
+
+/**
+ * Start a multipart upload in the upload's storage
+ * @param {Object} upload - Upload record with partSize set
+ * @returns {Object} - Provider fields of the initiation response
+ */
+const startMultipartUpload = (upload) => {
+  switch (upload.provider) {
+    case "gcs":
+      return {
+        sessionUrl: gcs.createSession(upload.s3Key, upload.contentType),
+      };
+    case "azure":
+      return {
+        blobUrl: azure.signBlobUrl(upload.s3Key, settings.urlExpiresIn),
+        expiresIn: settings.urlExpiresIn,
+      };
+    case "tus":
+      return { endpoint: tus.endpoint };
+    default:
+      upload.s3UploadId = s3.createMultipartUpload(
+        upload.s3Key,
+        upload.contentType
+      );
+      return {
+        partUrls: getPartUrls(
+          upload,
+          Array.from({ length: upload.partCount }, (_, i) => i + 1)
+        ),
+        expiresIn: settings.urlExpiresIn,
+      };
+  }
+};
+
+const findUpload = (uploadId) => uploads.get(uploadId) || null;
+
+const uploadNotFound = () =>
+  fail(404, "UploadNotFound", "The upload does not exist");
+
+const requireFields = (body, fields) => {
+  const missing = fields.filter((field) => body[field] == null);
+  return missing.length > 0
+    ? fail(400, "ValidationError", `Missing ${missing.join(", ")}`)
+    : null;
+};
+
+const s3NotConfigured = () =>
+  fail(500, "S3NotConfigured", "S3 is not configured on the backend");
+
+// [method, path, handler]; ":name" segments are passed as params
+const ROUTES = [
+  [
+    "GET",
+    "/api/upload/health",
+    () =>
+      ok({
+        status: "ok",
+        s3Configured: settings.s3Configured,
+        mock: true,
+      }),
+  ],
+  ["GET", "/api/upload/policy", () => ok(DEFAULT_VALIDATION_POLICY)],
+  [
+    "POST",
+    "/api/upload/presigned-url",
+    ({ body, userId }) => {
+      if (!settings.s3Configured) return s3NotConfigured();
+      const invalid = requireFields(body, ["fileName", "contentType"]);
+      if (invalid) return invalid;
+
+      // tus has no single-request upload, so small files go to the bucket
+      const upload = createUpload(
+        body,
+        userId,
+        "single",
+        settings.provider === "tus" ? "s3" : settings.provider
+      );
+      return ok({
+        uploadId: upload.uploadId,
+        s3Key: upload.s3Key,
+        presignedUrl: getSingleUploadUrl(upload),
+        expiresIn: settings.urlExpiresIn,
+        provider: upload.provider,
+      });
+    },
+  ],
+  [
+    "POST",
+    "/api/upload/confirm",
+    ({ body }) => {
+      const upload = findUpload(body.uploadId);
+      if (!upload) return uploadNotFound();
+
+      const object = s3.getObject(upload.s3Key);
+      if (!object) {
+        return fail(
+          400,
+          "ObjectNotFound",
+          "The file was not found in storage; upload it before confirming"
+        );
+      }
+      if (body.checksum?.md5Hex && body.checksum.md5Hex !== object.etag) {
+        return fail(
+          400,
+          "ChecksumMismatch",
+          "The stored file does not match the checksum"
+        );
+      }
+
+      return completeUpload(upload, {
+        etag: object.etag,
+        checksum: body.checksum,
+        metadata: body.metadata,
+      });
+    },
+  ],
+  [
+    "POST",
+    "/api/upload/thumbnail-url",
+    ({ body }) => {
+      const upload = findUpload(body.uploadId);
+      if (!upload) return uploadNotFound();
+
+      upload.thumbnailKey = `${upload.s3Key}.thumbnail.jpg`;
+      return ok({
+        s3Key: upload.thumbnailKey,
+        presignedUrl: s3.presign(
+          "PUT",
+          upload.thumbnailKey,
+          settings.urlExpiresIn
+        ),
+        provider: "s3",
+      });
+    },
+  ],
+  [
+    "POST",
+    "/api/upload/download-url",
+    ({ body }) => {
+      const expiresIn = body.expiresIn || 3600;
+      const downloadUrl = createDownloadUrl(body.s3Key, expiresIn);
+      return downloadUrl
+        ? ok({ downloadUrl, expiresIn })
+        : fail(404, "NoSuchKey", "The specified key does not exist");
+    },
+  ],
+  [
+    "POST",
+    "/api/upload/multipart/initiate",
+    ({ body, userId }) => {
+      if (!settings.s3Configured) return s3NotConfigured();
+      const invalid = requireFields(body, [
+        "fileName",
+        "contentType",
+        "fileSize",
+      ]);
+      if (invalid) return invalid;
+
+      const upload = createUpload(body, userId, "multipart", settings.provider);
+      upload.partSize = Math.max(
+        body.partSize || DEFAULT_PART_SIZE,
+        MIN_PART_SIZE,
+        Math.ceil(body.fileSize / MAX_PARTS)
+      );
+      if (upload.provider === "gcs") {
+        upload.partSize =
+          Math.ceil(upload.partSize / GCS_CHUNK_MULTIPLE) * GCS_CHUNK_MULTIPLE;
+      }
+      upload.partCount = Math.max(
+        1,
+        Math.ceil(body.fileSize / upload.partSize)
+      );
+
+      return ok({
+        uploadId: upload.uploadId,
+        s3Key: upload.s3Key,
+        partSize: upload.partSize,
+        partCount: upload.partCount,
+        ...startMultipartUpload(upload),
+        provider: upload.provider,
+      });
+    },
+  ],
+  [
+    "POST",
+    "/api/upload/multipart/part-urls",
+    ({ body }) => {
+      const upload = findUpload(body.uploadId);
+      if (upload?.type !== "multipart") return uploadNotFound();
+      if (upload.provider === "azure") {
+        return ok({
+          uploadId: upload.uploadId,
+          blobUrl: azure.signBlobUrl(upload.s3Key, settings.urlExpiresIn),
+        });
+      }
+      if (!upload.s3UploadId) {
+        return fail(
+          400,
+          "ValidationError",
+          "The upload URLs of this provider do not expire"
+        );
+      }
+      if (
+        !Array.isArray(body.partNumbers) ||
+        body.partNumbers.some(
+          (partNumber) => partNumber < 1 || partNumber > upload.partCount
+        )
+      ) {
+        return fail(400, "ValidationError", "Invalid part numbers");
+      }
+
+      return ok({
+        uploadId: upload.uploadId,
+        partUrls: getPartUrls(upload, body.partNumbers),
+      });
+    },
+  ],
+  [
+    "POST",
+    "/api/upload/multipart/complete",
+    ({ body }) => {
+      const upload = findUpload(body.uploadId);
+      if (upload?.type !== "multipart") return uploadNotFound();
+      if (!Array.isArray(body.parts) || body.parts.length === 0) {
+        return fail(400, "ValidationError", "Missing parts");
+      }
+
+      // Other providers assemble the object themselves (the last GCS
+      // chunk, Put Block List or the last tus PATCH)
+      const { etag, error } = upload.s3UploadId
+        ? s3.completeMultipartUpload(upload.s3UploadId, body.parts)
+        : s3.getObject(upload.s3Key) ?? {
+            error: {
+              status: 400,
+              code: "ObjectNotFound",
+              message:
+                "The file was not found in storage; finish uploading it before completing",
+            },
+          };
+      if (error) return fail(error.status, error.code, error.message);
+
+      return completeUpload(upload, {
+        etag,
+        checksum: body.checksum,
+        metadata: body.metadata,
+      });
+    },
+  ],
+  [
+    "POST",
+    "/api/upload/multipart/abort",
+    ({ body }) => {
+      const upload = findUpload(body.uploadId);
+      if (upload?.type !== "multipart") return uploadNotFound();
+
+      if (upload.s3UploadId) s3.abortMultipartUpload(upload.s3UploadId);
+      upload.status = "aborted";
+      return ok({ uploadId: upload.uploadId, status: upload.status });
+    },
+  ],
+  [
+    "GET",
+    "/api/upload/lookup",
+    ({ query, userId }) => {
+      const owner = userId || query.get("userId") || "anonymous";
+      // The earliest match is the original; later ones may be references
+      const match = [...uploads.values()].find(
+        (upload) =>
+          upload.status === "completed" &&
+          upload.userId === owner &&
+          upload.contentHash === query.get("hash") &&
+          upload.fileSize === Number(query.get("size"))
+      );
+
+      return ok({
+        upload: match
+          ? {
+              ...toPublicUpload(match),
+              downloadUrl: createDownloadUrl(match.s3Key),
+            }
+          : null,
+      });
+    },
+  ],
+  [
+    "POST",
+    "/api/upload/reference",
+    ({ body, userId }) => {
+      const invalid = requireFields(body, ["sourceUploadId", "fileName"]);
+      if (invalid) return invalid;
+
+      const source = findUpload(body.sourceUploadId);
+      if (source?.status !== "completed") return uploadNotFound();
+
+      const upload = createUpload(
+        {
+          ...body,
+          contentType: source.contentType,
+          fileSize: source.fileSize,
+          contentHash: source.contentHash,
+        },
+        userId,
+        "reference"
+      );
+      Object.assign(upload, {
+        provider: source.provider,
+        s3Key: source.s3Key,
+        thumbnailKey: source.thumbnailKey,
+        sourceUploadId: source.uploadId,
+      });
+      return completeUpload(upload, {
+        etag: source.etag,
+        checksum: source.checksum,
+        metadata: body.metadata ?? source.metadata,
+      });
+    },
+  ],
+  [
+    "GET",
+    "/api/upload",
+    ({ query }) => {
+      const limit = Number(query.get("limit")) || 20;
+      const matching = [...uploads.values()]
+        .filter(
+          (upload) =>
+            (!query.get("userId") || upload.userId === query.get("userId")) &&
+            (!query.get("status") || upload.status === query.get("status"))
+        )
+        .sort(compareUploadsNewestFirst);
+
+      // The cursor is the sort key of the last upload of the previous page,
+      // so the next page starts after it even if that upload was deleted
+      const cursor = query.get("cursor") && decodeCursor(query.get("cursor"));
+      if (query.get("cursor") && !cursor) {
+        return fail(400, "ValidationError", "Invalid cursor");
+      }
+      const offset = cursor
+        ? matching.filter(
+            (upload) => compareUploadsNewestFirst(upload, cursor) <= 0
+          ).length
+        : Number(query.get("offset")) || 0;
+      const page = matching.slice(offset, offset + limit);
+      const hasMore = offset + limit < matching.length;
+
+      return ok({
+        uploads: page.map(toPublicUpload),
+        total: matching.length,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page.at(-1)) : null,
+      });
+    },
+  ],
+  [
+    "GET",
+    "/api/upload/:uploadId",
+    ({ params }) => {
+      const upload = findUpload(params.uploadId);
+      return upload ? ok(toPublicUpload(upload)) : uploadNotFound();
+    },
+  ],
+  [
+    "DELETE",
+    "/api/upload/:uploadId",
+    ({ params }) => {
+      const upload = findUpload(params.uploadId);
+      if (!upload) return uploadNotFound();
+
+      if (upload.s3UploadId) s3.abortMultipartUpload(upload.s3UploadId);
+      uploads.delete(upload.uploadId);
+      // References share the stored file, which stays until the last is gone
+      const shared = [...uploads.values()].some(
+        (other) => other.s3Key === upload.s3Key
+      );
+      if (!shared) {
+        s3.deleteObject(upload.s3Key);
+        if (upload.thumbnailKey) s3.deleteObject(upload.thumbnailKey);
+      }
+      return ok({ uploadId: upload.uploadId, deleted: true });
+    },
+  ],
+  [
+    "POST",
+    "/api/auth/login",
+    ({ body }) =>
+      body.email && body.password
+        ? ok(createSession(String(body.email).trim().toLowerCase()))
+        : fail(401, "InvalidCredentials", "Email and password are required"),
+  ],
+  [
+    "POST",
+    "/api/auth/refresh",
+    ({ body }) => {
+      const userId = /^mock-refresh:(.+)$/.exec(body.refreshToken || "")?.[1];
+      return userId
+        ? ok({ accessToken: createAccessToken(userId) })
+        : fail(401, "InvalidRefreshToken", "The refresh token is not valid");
+    },
+  ],
+  ["POST", "/api/auth/logout", () => ok({ loggedOut: true })],
+];
+
+/**
+ * Find the route for a request
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @returns {Object|null} - { handler, params }
+ */
+const matchRoute = (method, pathname) => {
+  const segments = pathname.split("/");
+
+  for (const [routeMethod, path, handler] of ROUTES) {
+    const routeSegments = path.split("/");
+    if (routeMethod !== method || routeSegments.length !== segments.length) {
+      continue;
+    }
+
+    const params = {};
+    const matches = routeSegments.every((segment, i) => {
+      if (segment.startsWith(":")) {
+        params[segment.slice(1)] = decodeURIComponent(segments[i]);
+        return true;
+      }
+      return segment === segments[i];
+    });
+    if (matches) return { handler, params };
+  }
+  return null;
+};
+
+const handleApiRequest = async ({ method, url, headers, body, signal }) => {
+  await delay(settings.latency, signal);
+  if (isNetworkFault()) throw new MockNetworkError();
+
+  const fault =
+    takeInjectedFault("api") ??
+    (Math.random() < settings.apiErrorRate
+      ? {
+          status: 503,
+          code: "ServiceUnavailable",
+          message: "Service temporarily unavailable",
+        }
+      : null);
+  if (fault) return fail(fault.status, fault.code, fault.message);
+
+  const route = matchRoute(method, url.pathname);
+  if (!route) {
+    return fail(404, "NotFound", `No mock route for ${method} ${url.pathname}`);
+  }
+
+  const auth = url.pathname.startsWith("/api/auth/")
+    ? { userId: null }
+    : authenticate(headers);
+  if (auth.expired) {
+    return fail(401, "TokenExpired", "The access token has expired");
+  }
+
+  let payload = {};
+  try {
+    payload = body ? JSON.parse(body) : {};
+  } catch {
+    return fail(400, "InvalidJSON", "The request body is not valid JSON");
+  }
+
+  return route.handler({
+    body: payload,
+    params: route.params,
+    query: url.searchParams,
+    userId: auth.userId,
+  });
+};
+
+// Storage mocks by origin, with the error format of each
+const STORAGE = {
+  [MOCK_S3_ORIGIN]: {
+    handle: (request) => s3.handle(request),
+    errorResponse: s3ErrorResponse,
+  },
+  [MOCK_GCS_ORIGIN]: {
+    handle: (request) => gcs.handle(request),
+    errorResponse: gcsErrorResponse,
+  },
+  [MOCK_AZURE_ORIGIN]: {
+    handle: (request) => azure.handle(request),
+    errorResponse: azureErrorResponse,
+  },
+  [MOCK_TUS_ORIGIN]: {
+    handle: (request) => tus.handle(request),
+    errorResponse: tusErrorResponse,
+  },
+};
+
+const handleStorageRequest = async (request, sendBody) => {
+  const storage = STORAGE[request.url.origin];
+  if (isNetworkFault()) {
+    // Drop the connection part way through the body
+    await sendBody(Math.random(), settings.uploadSpeed);
+    throw new MockNetworkError();
+  }
+  await sendBody(1, settings.uploadSpeed);
+
+  const fault =
+    takeInjectedFault("storage") ??
+    (Math.random() < settings.storageErrorRate
+      ? {
+          status: 503,
+          code: "SlowDown",
+          message: "Please reduce your request rate.",
+        }
+      : null);
+  if (fault) {
+    return storage.errorResponse(fault.status, fault.code, fault.message);
+  }
+
+  return storage.handle(request);
+};
+
+const isMockUrl = (url) =>
+  url.origin === MOCK_API_ORIGIN || Object.hasOwn(STORAGE, url.origin);
+
+const handleRequest = (request, { sendBody }) =>
+  Object.hasOwn(STORAGE, request.url.origin)
+    ? handleStorageRequest(request, sendBody)
+    : handleApiRequest(request);
+
+/**
+ * Controls for the mock, also available as `window.mockBackend` while it
+ * is installed
+ */
+export const mockBackend = {
+  /**
+   * Current settings (see DEFAULT_SETTINGS)
+   * @returns {Object} - Settings
+   */
+  getSettings() {
+    return { ...settings };
+  },
+
+  /**
+   * Change settings; they are kept across reloads
+   * @param {Object} overrides - Settings to change, e.g. { latency: 2000 }
+   *   or { storageErrorRate: 0.2 }
+   * @returns {Object} - The new settings
+   */
+  configure(overrides) {
+    settings = { ...settings, ...overrides };
+    try {
+      localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.error("Failed to save mock backend settings:", error);
+    }
+    return { ...settings };
+  },
+
+  /**
+   * Make the next requests to the API or storage fail
+   * @param {string} target - "api" or "storage"
+   * @param {Object} fault - Error response (default: 503); e.g.
+   *   { status: 403, code: "AccessDenied", message: "Request has expired" }
+   *   for an expired storage URL
+   * @param {number} count - Number of requests to fail (default: 1)
+   */
+  failNext(target, fault = {}, count = 1) {
+    const response = {
+      status: 503,
+      code: target === "storage" ? "SlowDown" : "ServiceUnavailable",
+      message: "Injected fault",
+      ...fault,
+      target,
+    };
+    injectedFaults.push(...Array.from({ length: count }, () => response));
+  },
+
+  /**
+   * Restore the default settings and drop all uploads, objects and
+   * pending faults
+   */
+  reset() {
+    settings = { ...DEFAULT_SETTINGS };
+    try {
+      localStorage.removeItem(SETTINGS_STORAGE_KEY);
+    } catch {
+      // Nothing saved
+    }
+    uploads = new Map();
+    createStorage();
+    injectedFaults = [];
+  },
+
+  /**
+   * Upload records, including unfinished ones
+   * @returns {Array<Object>} - Uploads as listUploads returns them
+   */
+  getUploads() {
+    return [...uploads.values()].map(toPublicUpload);
+  },
+};
+
+/**
+ * Answer the uploader's API and storage requests in the page
+ *
+ * Points the API client at the mock, replaces fetch and XMLHttpRequest
+ * with versions that answer mock URLs (other requests go to the network)
+ * and turns off background uploads, since the worker cannot reach the
+ * page's mock. Uploads and stored files live in memory and are gone after
+ * a reload, so unfinished uploads saved for resume are then rejected as
+ * unknown, like expired ones on a real backend.
+ * @returns {Object} - The mockBackend controls
+ */
+export const installMockBackend = () => {
+  if (installed) return mockBackend;
+  installed = true;
+
+  globalThis.fetch = createMockFetch(
+    globalThis.fetch.bind(globalThis),
+    isMockUrl,
+    handleRequest
+  );
+  if (typeof XMLHttpRequest !== "undefined") {
+    globalThis.XMLHttpRequest = createMockXMLHttpRequest(
+      XMLHttpRequest,
+      isMockUrl,
+      handleRequest
+    );
+  }
+  apiClient.setBaseURL(MOCK_API_ORIGIN);
+  configureUploads({ backgroundUploads: false });
+  globalThis.mockBackend = mockBackend;
+
+  console.info(
+    "Mock backend installed; change its behaviour with window.mockBackend.configure()"
+  );
+  return mockBackend;
+};
@@ -0,0 +1,265 @@
+// In-memory stand-in for Google Cloud Storage: resumable upload sessions
+// that take chunks in order and answer 308 with the persisted Range, and
+// signed URLs for single-request uploads
+import {
+  hexToBase64,
+  md5Hex,
+  randomHex,
+  s3ErrorResponse,
+  toBlob,
+} from "./mockS3";
+
+// Origin of the mock bucket's session URIs and signed URLs
+export const MOCK_GCS_ORIGIN = "https://mock-gcs.invalid";
+
+const BUCKET = "mock-bucket";
+
+// GCS only accepts chunks in multiples of this size, except the last one
+export const GCS_CHUNK_MULTIPLE = 256 * 1024;
+
+// GCS answers "308 Resume Incomplete" until the last byte has arrived
+const RESUME_INCOMPLETE = 308;
+
+/**
+ * Build a GCS JSON API error response
+ * @param {number} status - HTTP status
+ * @param {string} code - Error reason, e.g. "notFound"
+ * @param {string} message - Error message
+ * @returns {Object} - Mock response { status, headers, body }
+ */
+export const gcsErrorResponse = (status, code, message) => ({
+  status,
+  headers: { "Content-Type": "application/json" },
+  body: {
+    error: { code: status, message, errors: [{ reason: code, message }] },
+  },
+});
+
+/**
+ * Mock bucket
+ *
+ * Resumable sessions check Content-Range: chunks must continue from the
+ * persisted bytes (bytes GCS already has are skipped) and be multiples of
+ * 256 KiB except the last, and a Content-Range with "*" as the range
+ * asks for the persisted range. The last chunk stores the object and answers 200 with its
+ * resource. Signed URLs expire like S3's presigned URLs.
+ */
+export class MockGcs {
+  /**
+   * @param {Map} objects - Where finished objects are stored by key, as
+   *   { blob, etag } with the MD5 as etag
+   */
+  constructor(objects) {
+    this.objects = objects;
+    this.sessions = new Map();
+    this.signatures = new Map();
+  }
+
+  /**
+   * Open a resumable session, as the backend does with
+   * POST /upload/storage/v1/b/<bucket>/o?uploadType=resumable
+   * @param {string} key - Object key
+   * @param {string} contentType - Content type of the final object
+   * @returns {string} - Session URI
+   */
+  createSession(key, contentType) {
+    const uploadId = randomHex(16);
+    this.sessions.set(uploadId, {
+      key,
+      contentType,
+      chunks: [],
+      persisted: 0,
+      resource: null,
+    });
+
+    const url = new URL(`/upload/storage/v1/b/${BUCKET}/o`, MOCK_GCS_ORIGIN);
+    url.searchParams.set("uploadType", "resumable");
+    url.searchParams.set("upload_id", uploadId);
+    return url.toString();
+  }
+
+  /**
+   * Sign a URL for a single-request PUT of an object
+   * @param {string} key - Object key
+   * @param {number} expiresIn - Lifetime in seconds
+   * @returns {string} - Signed URL
+   */
+  signUrl(key, expiresIn) {
+    const url = new URL(
+      `/${BUCKET}/${key.split("/").map(encodeURIComponent).join("/")}`,
+      MOCK_GCS_ORIGIN
+    );
+    const signature = randomHex(32);
+    url.searchParams.set("X-Goog-Algorithm", "GOOG4-RSA-SHA256");
+    url.searchParams.set("X-Goog-Expires", String(expiresIn));
+    url.searchParams.set("X-Goog-Signature", signature);
+    this.signatures.set(signature, {
+      key,
+      expiresAt: Date.now() + expiresIn * 1000,
+    });
+    return url.toString();
+  }
+
+  /**
+   * Store a finished object
+   * @param {string} key - Object key
+   * @param {Blob} blob - Object data
+   * @returns {Promise<string>} - Hex MD5 of the object
+   */
+  async storeObject(key, blob) {
+    const etag = await md5Hex(blob);
+    this.objects.set(key, { blob, etag });
+    return etag;
+  }
+
+  /**
+   * Response to a chunk or status check of an unfinished session
+   * @param {Object} session - Upload session
+   * @returns {Object} - 308 with the persisted Range, if any
+   */
+  resumeIncomplete(session) {
+    return {
+      status: RESUME_INCOMPLETE,
+      headers:
+        session.persisted > 0
+          ? { Range: `bytes=0-${session.persisted - 1}` }
+          : {},
+      body: "",
+    };
+  }
+
+  /**
+   * Handle a request to a signed URL (single-request upload); the XML API
+   * answers with S3-style errors
+   * @param {Object} request - As for handle
+   * @returns {Promise<Object>} - Mock response
+   */
+  async handleSignedUpload({ method, url, headers, body }) {
+    const signed = this.signatures.get(
+      url.searchParams.get("X-Goog-Signature")
+    );
+    const key = url.pathname
+      .slice(`/${BUCKET}/`.length)
+      .split("/")
+      .map(decodeURIComponent)
+      .join("/");
+
+    if (method !== "PUT" || signed?.key !== key) {
+      return s3ErrorResponse(
+        403,
+        "SignatureDoesNotMatch",
+        "The request signature we calculated does not match the signature you provided"
+      );
+    }
+    if (Date.now() > signed.expiresAt) {
+      return s3ErrorResponse(400, "ExpiredToken", "Invalid argument.");
+    }
+
+    const blob = toBlob(body, headers["content-type"]);
+    const etag = await md5Hex(blob);
+    if (
+      headers["content-md5"] &&
+      headers["content-md5"] !== hexToBase64(etag)
+    ) {
+      return s3ErrorResponse(
+        400,
+        "BadDigest",
+        "The MD5 you specified did not match what we received."
+      );
+    }
+
+    this.objects.set(key, { blob, etag });
+    return { status: 200, headers: { ETag: `"${etag}"` }, body: "" };
+  }
+
+  /**
+   * Handle a request to a session URI or signed URL
+   * @param {Object} request - { method, url, headers, body }; header names
+   *   are lower case
+   * @returns {Promise<Object>} - Mock response { status, headers, body }
+   */
+  async handle(request) {
+    const { method, url, headers, body } = request;
+    if (url.searchParams.has("X-Goog-Signature")) {
+      return this.handleSignedUpload(request);
+    }
+
+    const uploadId = url.searchParams.get("upload_id");
+    const session = this.sessions.get(uploadId);
+    if (!session) {
+      return gcsErrorResponse(
+        404,
+        "notFound",
+        "The upload session does not exist or has expired"
+      );
+    }
+
+    if (method === "DELETE") {
+      // GCS answers a cancelled session with 499
+      this.sessions.delete(uploadId);
+      return { status: 499, headers: {}, body: "" };
+    }
+    if (method !== "PUT") {
+      return gcsErrorResponse(405, "methodNotAllowed", "Method not allowed");
+    }
+
+    const range = headers["content-range"] || "";
+    if (/^bytes \*\/(\d+|\*)$/.test(range)) {
+      return session.resource
+        ? { status: 200, body: session.resource }
+        : this.resumeIncomplete(session);
+    }
+
+    const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(range);
+    const blob = toBlob(body);
+    if (!match || Number(match[2]) - Number(match[1]) + 1 !== blob.size) {
+      return gcsErrorResponse(
+        400,
+        "invalid",
+        "Missing or invalid Content-Range header"
+      );
+    }
+
+    const start = Number(match[1]);
+    const end = Number(match[2]) + 1;
+    const total = match[3] === "*" ? null : Number(match[3]);
+    if (session.resource) {
+      return { status: 200, body: session.resource };
+    }
+    if (start > session.persisted) {
+      return gcsErrorResponse(
+        400,
+        "invalid",
+        `The chunk starts at byte ${start}, but only ${session.persisted} bytes were persisted`
+      );
+    }
+
+    const last = end === total;
+    if (!last && end % GCS_CHUNK_MULTIPLE !== 0) {
+      return gcsErrorResponse(
+        400,
+        "invalid",
+        "Chunks must be a multiple of 256 KiB, except the last one"
+      );
+    }
+
+    if (end > session.persisted) {
+      session.chunks.push(blob.slice(session.persisted - start));
+      session.persisted = end;
+    }
+    if (!last) return this.resumeIncomplete(session);
+
+    const object = new Blob(session.chunks, { type: session.contentType });
+    const etag = await this.storeObject(session.key, object);
+    session.chunks = [];
+    session.resource = {
+      kind: "storage#object",
+      bucket: BUCKET,
+      name: session.key,
+      contentType: session.contentType,
+      size: String(object.size),
+      md5Hash: hexToBase64(etag),
+    };
+    return { status: 200, body: session.resource };
+  }
+}
@@ -0,0 +1,338 @@
+// In-memory stand-in for S3: presigned URLs, object PUTs and multipart
+// uploads, answering with S3's status codes, ETags and XML errors
+import SparkMD5 from "spark-md5";
+
+// Origin of the mock bucket's presigned URLs
+export const MOCK_S3_ORIGIN = "https://mock-s3.invalid";
+
+const BUCKET = "mock-bucket";
+
+// S3 rejects multipart parts smaller than this, except the last one
+export const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+// Blob slice hashed at a time, so large files are not read into memory whole
+const HASH_CHUNK_SIZE = 8 * 1024 * 1024;
+
+const hexToBytes = (hex) =>
+  new Uint8Array(hex.match(/.{2}/g).map((byte) => parseInt(byte, 16)));
+
+const bytesToBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+export const randomHex = (bytes) =>
+  Array.from(crypto.getRandomValues(new Uint8Array(bytes)), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+
+/**
+ * Format a date as an X-Amz-Date (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - The date
+ * @returns {string} - Compact ISO 8601 timestamp
+ */
+const toAmzDate = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+/**
+ * MD5 of a blob, read in slices
+ * @param {Blob} blob - The data
+ * @returns {Promise<string>} - Hex digest
+ */
+export const md5Hex = async (blob) => {
+  const spark = new SparkMD5.ArrayBuffer();
+  for (let start = 0; start < blob.size; start += HASH_CHUNK_SIZE) {
+    spark.append(
+      await blob.slice(start, start + HASH_CHUNK_SIZE).arrayBuffer()
+    );
+  }
+  return spark.end();
+};
+
+/**
+ * Convert a hex digest to base64, as in Content-MD5 headers
+ * @param {string} hex - Hex digest
+ * @returns {string} - Base64 digest
+ */
+export const hexToBase64 = (hex) => bytesToBase64(hexToBytes(hex));
+
+/**
+ * Turn a request body into a blob
+ * @param {Blob|string|null} body - Request body
+ * @param {string} type - Content type (optional)
+ * @returns {Blob} - The body
+ */
+export const toBlob = (body, type = "") =>
+  body instanceof Blob ? body : new Blob(body == null ? [] : [body], { type });
+
+const sha256Base64 = async (blob) =>
+  bytesToBase64(
+    new Uint8Array(
+      await crypto.subtle.digest("SHA-256", await blob.arrayBuffer())
+    )
+  );
+
+/**
+ * Build an S3 XML error response
+ * @param {number} status - HTTP status
+ * @param {string} code - S3 error code, e.g. "AccessDenied"
+ * @param {string} message - Error message
+ * @returns {Object} - Mock response { status, headers, body }
+ */
+export const s3ErrorResponse = (status, code, message) => ({
+  status,
+  headers: { "Content-Type": "application/xml" },
+  body:
+    `<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>${code}</Code>` +
+    `<Message>${message}</Message><RequestId>${randomHex(
+      8
+    )}</RequestId></Error>`,
+});
+
+/**
+ * Mock bucket
+ *
+ * Presigned URLs carry X-Amz-Date, X-Amz-Expires and an X-Amz-Signature
+ * the bucket remembers, so expired URLs get S3's 403 AccessDenied and
+ * unknown or reused-for-another-object ones a 403 SignatureDoesNotMatch.
+ * PUTs check Content-MD5 and x-amz-checksum-sha256 and answer with the
+ * body's MD5 as ETag; completed multipart objects get the composite
+ * "md5-of-md5s-N" ETag.
+ */
+export class MockS3 {
+  constructor() {
+    this.objects = new Map();
+    this.multipartUploads = new Map();
+    this.signatures = new Map();
+  }
+
+  /**
+   * Sign a URL for one operation
+   * @param {string} method - HTTP method the URL is valid for
+   * @param {string} key - Object key
+   * @param {number} expiresIn - Lifetime in seconds
+   * @param {Object} params - Extra query parameters (partNumber, uploadId)
+   * @returns {string} - Presigned URL
+   */
+  presign(method, key, expiresIn, params = {}) {
+    const url = new URL(
+      `/${BUCKET}/${key.split("/").map(encodeURIComponent).join("/")}`,
+      MOCK_S3_ORIGIN
+    );
+    Object.entries(params).forEach(([name, value]) =>
+      url.searchParams.set(name, value)
+    );
+    const signature = randomHex(32);
+    url.searchParams.set("X-Amz-Algorithm", "AWS4-HMAC-SHA256");
+    url.searchParams.set("X-Amz-Date", toAmzDate(new Date()));
+    url.searchParams.set("X-Amz-Expires", String(expiresIn));
+    url.searchParams.set("X-Amz-Signature", signature);
+    this.signatures.set(signature, { method, key, ...params });
+    return url.toString();
+  }
+
+  /**
+   * Start a multipart upload
+   * @param {string} key - Object key
+   * @param {string} contentType - Content type of the final object
+   * @returns {string} - S3 upload ID
+   */
+  createMultipartUpload(key, contentType) {
+    const s3UploadId = randomHex(16);
+    this.multipartUploads.set(s3UploadId, {
+      key,
+      contentType,
+      parts: new Map(),
+    });
+    return s3UploadId;
+  }
+
+  /**
+   * Assemble the uploaded parts into the object
+   * @param {string} s3UploadId - S3 upload ID
+   * @param {Array<Object>} parts - { PartNumber, ETag } in ascending order
+   * @returns {Object} - { etag } of the object, or { error: { status,
+   *   code, message } } with S3's reason for rejecting the parts
+   */
+  completeMultipartUpload(s3UploadId, parts) {
+    const upload = this.multipartUploads.get(s3UploadId);
+    if (!upload) {
+      return {
+        error: {
+          status: 404,
+          code: "NoSuchUpload",
+          message: "The specified multipart upload does not exist",
+        },
+      };
+    }
+
+    const stored = [];
+    for (const [index, part] of parts.entries()) {
+      if (index > 0 && part.PartNumber <= parts[index - 1].PartNumber) {
+        return {
+          error: {
+            status: 400,
+            code: "InvalidPartOrder",
+            message: "The list of parts was not in ascending order",
+          },
+        };
+      }
+
+      const storedPart = upload.parts.get(part.PartNumber);
+      if (!storedPart || storedPart.etag !== part.ETag?.replace(/"/g, "")) {
+        return {
+          error: {
+            status: 400,
+            code: "InvalidPart",
+            message: `Part ${part.PartNumber} was not uploaded or its ETag does not match`,
+          },
+        };
+      }
+      if (index < parts.length - 1 && storedPart.blob.size < MIN_PART_SIZE) {
+        return {
+          error: {
+            status: 400,
+            code: "EntityTooSmall",
+            message: `Part ${part.PartNumber} is smaller than the 5 MB minimum`,
+          },
+        };
+      }
+      stored.push(storedPart);
+    }
+
+    const md5Bytes = stored.map((part) => hexToBytes(part.etag));
+    const joined = new Uint8Array(md5Bytes.length * 16);
+    md5Bytes.forEach((bytes, i) => joined.set(bytes, i * 16));
+    const etag = `${SparkMD5.ArrayBuffer.hash(joined.buffer)}-${stored.length}`;
+
+    this.objects.set(upload.key, {
+      blob: new Blob(
+        stored.map((part) => part.blob),
+        { type: upload.contentType }
+      ),
+      etag,
+    });
+    this.multipartUploads.delete(s3UploadId);
+    return { etag };
+  }
+
+  abortMultipartUpload(s3UploadId) {
+    this.multipartUploads.delete(s3UploadId);
+  }
+
+  /**
+   * Look up a stored object
+   * @param {string} key - Object key
+   * @returns {Object|null} - { blob, etag } or null
+   */
+  getObject(key) {
+    return this.objects.get(key) || null;
+  }
+
+  deleteObject(key) {
+    this.objects.delete(key);
+  }
+
+  /**
+   * Check a request's presigned URL
+   * @param {string} method - Request method
+   * @param {URL} url - Request URL
+   * @returns {Object} - { key, params } of the signed operation, or
+   *   { error } with the 403 response
+   */
+  authorize(method, url) {
+    const signed = this.signatures.get(url.searchParams.get("X-Amz-Signature"));
+    const key = url.pathname
+      .slice(`/${BUCKET}/`.length)
+      .split("/")
+      .map(decodeURIComponent)
+      .join("/");
+
+    if (!signed || signed.method !== method || signed.key !== key) {
+      return {
+        error: s3ErrorResponse(
+          403,
+          "SignatureDoesNotMatch",
+          "The request signature we calculated does not match the signature you provided"
+        ),
+      };
+    }
+
+    const date = url.searchParams.get("X-Amz-Date");
+    const signedAt = Date.UTC(
+      date.slice(0, 4),
+      date.slice(4, 6) - 1,
+      date.slice(6, 8),
+      date.slice(9, 11),
+      date.slice(11, 13),
+      date.slice(13, 15)
+    );
+    const expiresIn = Number(url.searchParams.get("X-Amz-Expires"));
+    if (Date.now() > signedAt + expiresIn * 1000) {
+      return {
+        error: s3ErrorResponse(403, "AccessDenied", "Request has expired"),
+      };
+    }
+
+    return { key, params: signed };
+  }
+
+  /**
+   * Handle a request to a presigned URL
+   * @param {Object} request - { method, url, headers, body }; header names
+   *   are lower case
+   * @returns {Promise<Object>} - Mock response { status, headers, body }
+   */
+  async handle({ method, url, headers, body }) {
+    const { key, params, error } = this.authorize(method, url);
+    if (error) return error;
+
+    if (method !== "PUT") {
+      return s3ErrorResponse(
+        405,
+        "MethodNotAllowed",
+        "The specified method is not allowed against this resource"
+      );
+    }
+
+    const blob = toBlob(body, headers["content-type"]);
+    const etag = await md5Hex(blob);
+
+    if (
+      headers["content-md5"] &&
+      headers["content-md5"] !== hexToBase64(etag)
+    ) {
+      return s3ErrorResponse(
+        400,
+        "BadDigest",
+        "The Content-MD5 you specified did not match what we received"
+      );
+    }
+    if (
+      headers["x-amz-checksum-sha256"] &&
+      headers["x-amz-checksum-sha256"] !== (await sha256Base64(blob))
+    ) {
+      return s3ErrorResponse(
+        400,
+        "BadDigest",
+        "The SHA256 you specified did not match the calculated checksum"
+      );
+    }
+
+    if (params.uploadId) {
+      const upload = this.multipartUploads.get(params.uploadId);
+      if (!upload) {
+        return s3ErrorResponse(
+          404,
+          "NoSuchUpload",
+          "The specified multipart upload does not exist"
+        );
+      }
+      upload.parts.set(Number(params.partNumber), { blob, etag });
+    } else {
+      this.objects.set(key, { blob, etag });
+    }
+
+    return { status: 200, headers: { ETag: `"${etag}"` }, body: "" };
+  }
+}
@@ -0,0 +1,225 @@
+// fetch and XMLHttpRequest replacements that answer mock URLs in the page
+// and pass every other request to the browser
+
+// Time between simulated upload progress events
+const PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * Thrown by a mock handler to make the request fail like a dropped
+ * connection
+ */
+export class MockNetworkError extends Error {
+  constructor(message = "Mock network failure") {
+    super(message);
+    this.name = "MockNetworkError";
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Serialize a mock response body
+ * @param {any} body - String, Blob, object (sent as JSON) or null
+ * @returns {string|Blob|null} - Body for the response
+ */
+const serializeBody = (body) =>
+  body == null || typeof body === "string" || body instanceof Blob
+    ? body
+    : JSON.stringify(body);
+
+const getHeader = (headers, name) => {
+  const match = Object.keys(headers).find(
+    (header) => header.toLowerCase() === name.toLowerCase()
+  );
+  return match === undefined ? null : headers[match];
+};
+
+/**
+ * Build a fetch that hands matching requests to a mock handler
+ *
+ * A handler is `async (request, { sendBody }) => response`, where request
+ * is { method, url (URL), headers (lower-case names), body, signal } and
+ * response is { status, headers, body }; an object body is sent as JSON.
+ * `sendBody(fraction, bytesPerSecond)` simulates sending the request body
+ * (a no-op for fetch, which cannot report upload progress).
+ * @param {Function} nativeFetch - The browser's fetch
+ * @param {Function} matches - (url) => true for URLs the handler answers
+ * @param {Function} handle - Mock handler
+ * @returns {Function} - fetch replacement
+ */
+export const createMockFetch =
+  (nativeFetch, matches, handle) =>
+  async (input, init = {}) => {
+    const url = new URL(
+      input instanceof Request ? input.url : String(input),
+      globalThis.location?.href
+    );
+    if (!matches(url)) return nativeFetch(input, init);
+
+    const signal =
+      init.signal ?? (input instanceof Request ? input.signal : null);
+    signal?.throwIfAborted();
+
+    let response;
+    try {
+      response = await handle(
+        {
+          method: (init.method || input.method || "GET").toUpperCase(),
+          url,
+          headers: Object.fromEntries(new Headers(init.headers)),
+          body: init.body ?? null,
+          signal,
+        },
+        { sendBody: async () => {} }
+      );
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason;
+      if (!(error instanceof MockNetworkError)) {
+        console.error("Mock request handler failed:", error);
+      }
+      throw new TypeError("Failed to fetch");
+    }
+
+    const headers = { ...response.headers };
+    if (response.body != null && typeof response.body === "object") {
+      headers["Content-Type"] ??= "application/json";
+    }
+    return new Response(
+      response.status === 204 ? null : serializeBody(response.body),
+      { status: response.status, headers }
+    );
+  };
+
+/**
+ * Build an XMLHttpRequest class that hands matching requests to a mock
+ * handler (see createMockFetch), with upload progress events
+ * @param {Function} NativeXMLHttpRequest - The browser's XMLHttpRequest
+ * @param {Function} matches - (url) => true for URLs the handler answers
+ * @param {Function} handle - Mock handler
+ * @returns {Function} - XMLHttpRequest replacement
+ */
+export const createMockXMLHttpRequest = (
+  NativeXMLHttpRequest,
+  matches,
+  handle
+) =>
+  class MockXMLHttpRequest extends NativeXMLHttpRequest {
+    open(method, url, ...rest) {
+      const resolved = new URL(url, globalThis.location?.href);
+      this.mock = matches(resolved)
+        ? {
+            method: method.toUpperCase(),
+            url: resolved,
+            headers: {},
+            response: null,
+            finished: false,
+          }
+        : null;
+      if (!this.mock) super.open(method, url, ...rest);
+    }
+
+    setRequestHeader(name, value) {
+      if (this.mock) {
+        this.mock.headers[name.toLowerCase()] = String(value);
+      } else {
+        super.setRequestHeader(name, value);
+      }
+    }
+
+    send(body) {
+      if (this.mock) {
+        this.sendToMock(body);
+      } else {
+        super.send(body);
+      }
+    }
+
+    abort() {
+      if (!this.mock) {
+        super.abort();
+        return;
+      }
+      this.finish("abort");
+    }
+
+    get status() {
+      return this.mock ? this.mock.response?.status ?? 0 : super.status;
+    }
+
+    get statusText() {
+      return this.mock
+        ? this.mock.response?.statusText ?? ""
+        : super.statusText;
+    }
+
+    get responseText() {
+      return this.mock ? this.mock.response?.body ?? "" : super.responseText;
+    }
+
+    getResponseHeader(name) {
+      if (!this.mock) return super.getResponseHeader(name);
+      return getHeader(this.mock.response?.headers ?? {}, name);
+    }
+
+    /**
+     * Settle the request once, firing the event and loadend
+     * @param {string} type - "load", "error" or "abort"
+     */
+    finish(type) {
+      if (this.mock.finished) return;
+      this.mock.finished = true;
+      this.dispatchEvent(new ProgressEvent(type));
+      this.dispatchEvent(new ProgressEvent("loadend"));
+    }
+
+    async sendToMock(body) {
+      const mock = this.mock;
+      const total = body?.size ?? body?.length ?? 0;
+      let loaded = 0;
+
+      const sendBody = async (fraction = 1, bytesPerSecond = Infinity) => {
+        const target = Math.floor(total * fraction);
+        while (loaded < target && !mock.finished) {
+          await sleep(PROGRESS_INTERVAL_MS);
+          loaded = Math.min(
+            target,
+            loaded + (bytesPerSecond * PROGRESS_INTERVAL_MS) / 1000
+          );
+          this.upload.dispatchEvent(
+            new ProgressEvent("progress", {
+              loaded,
+              total,
+              lengthComputable: true,
+            })
+          );
+        }
+      };
+
+      try {
+        const response = await handle(
+          {
+            method: mock.method,
+            url: mock.url,
+            headers: mock.headers,
+            body: body ?? null,
+            signal: null,
+          },
+          { sendBody }
+        );
+        if (mock.finished) return;
+
+        mock.response = {
+          status: response.status,
+          statusText: response.statusText ?? "",
+          headers: response.headers ?? {},
+          body: serializeBody(response.body) ?? "",
+        };
+        this.finish("load");
+      } catch (error) {
+        if (!(error instanceof MockNetworkError)) {
+          console.error("Mock request handler failed:", error);
+        }
+        this.finish("error");
+      }
+    }
+  };
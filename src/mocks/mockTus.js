@@ -0,0 +1,225 @@
+// In-memory stand-in for a tus 1.0 server: upload creation, HEAD for the
+// offset, PATCH at the offset, and termination
+import { md5Hex, randomHex, toBlob } from "./mockS3";
+
+// Origin of the mock tus server
+export const MOCK_TUS_ORIGIN = "https://mock-tus.invalid";
+
+const TUS_VERSION = "1.0.0";
+
+// Path of the creation endpoint; uploads live below it
+const ENDPOINT_PATH = "/files/";
+
+/**
+ * Build a tus server error response
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code, e.g. "ERR_UPLOAD_NOT_FOUND"
+ * @param {string} message - Error message
+ * @returns {Object} - Mock response { status, headers, body }
+ */
+export const tusErrorResponse = (status, code, message) => ({
+  status,
+  headers: { "Tus-Resumable": TUS_VERSION, "Content-Type": "text/plain" },
+  body: `${code}: ${message}`,
+});
+
+/**
+ * Parse an Upload-Metadata header
+ * @param {string} header - "key base64value,key2 base64value2"
+ * @returns {Object|null} - Decoded metadata, or null if malformed
+ */
+const parseMetadata = (header) => {
+  try {
+    return Object.fromEntries(
+      header
+        .split(",")
+        .filter(Boolean)
+        .map((pair) => {
+          const [key, value = ""] = pair.trim().split(" ");
+          return [
+            key,
+            new TextDecoder().decode(
+              Uint8Array.from(atob(value), (c) => c.charCodeAt(0))
+            ),
+          ];
+        })
+    );
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Mock tus server with the creation and termination extensions
+ *
+ * Requests without `Tus-Resumable: 1.0.0` get 412. PATCH requires the
+ * offset+octet-stream content type (415) and an Upload-Offset that matches
+ * the server's (409), and may not go past Upload-Length (413). A finished
+ * upload is stored as an object under the key the backend chose for it.
+ */
+export class MockTus {
+  /**
+   * @param {Map} objects - Where finished uploads are stored by key, as
+   *   { blob, etag } with the MD5 as etag
+   * @param {Function} getObjectKey - (metadata) => key to store the upload
+   *   under, or null to reject it; stands in for the backend's pre-create
+   *   hook
+   */
+  constructor(objects, getObjectKey) {
+    this.objects = objects;
+    this.getObjectKey = getObjectKey;
+    this.uploads = new Map();
+  }
+
+  /**
+   * URL of the creation endpoint
+   * @returns {string} - Endpoint URL
+   */
+  get endpoint() {
+    return new URL(ENDPOINT_PATH, MOCK_TUS_ORIGIN).toString();
+  }
+
+  create(headers) {
+    const length = Number(headers["upload-length"]);
+    if (!/^\d+$/.test(headers["upload-length"] || "")) {
+      return tusErrorResponse(
+        400,
+        "ERR_INVALID_UPLOAD_LENGTH",
+        "missing or invalid Upload-Length header"
+      );
+    }
+
+    const metadata = parseMetadata(headers["upload-metadata"] || "");
+    const key = metadata && this.getObjectKey(metadata);
+    if (!key) {
+      return tusErrorResponse(
+        400,
+        "ERR_UPLOAD_REJECTED",
+        "upload rejected by the pre-create hook"
+      );
+    }
+
+    const id = randomHex(16);
+    this.uploads.set(id, {
+      key,
+      length,
+      offset: 0,
+      chunks: [],
+      contentType: metadata.filetype || "",
+    });
+    return {
+      status: 201,
+      headers: {
+        "Tus-Resumable": TUS_VERSION,
+        Location: new URL(`${ENDPOINT_PATH}${id}`, MOCK_TUS_ORIGIN).toString(),
+      },
+      body: "",
+    };
+  }
+
+  async patch(upload, headers, body) {
+    if (headers["content-type"] !== "application/offset+octet-stream") {
+      return tusErrorResponse(
+        415,
+        "ERR_INVALID_CONTENT_TYPE",
+        "missing or invalid Content-Type header"
+      );
+    }
+    if (Number(headers["upload-offset"]) !== upload.offset) {
+      return tusErrorResponse(
+        409,
+        "ERR_MISMATCHED_OFFSET",
+        "mismatched offset"
+      );
+    }
+
+    const blob = toBlob(body);
+    if (upload.offset + blob.size > upload.length) {
+      return tusErrorResponse(
+        413,
+        "ERR_UPLOAD_SIZE_EXCEEDED",
+        "upload's size exceeded"
+      );
+    }
+
+    upload.chunks.push(blob);
+    upload.offset += blob.size;
+    if (upload.offset === upload.length) {
+      const object = new Blob(upload.chunks, { type: upload.contentType });
+      this.objects.set(upload.key, {
+        blob: object,
+        etag: await md5Hex(object),
+      });
+      upload.chunks = [];
+    }
+
+    return {
+      status: 204,
+      headers: {
+        "Tus-Resumable": TUS_VERSION,
+        "Upload-Offset": String(upload.offset),
+      },
+      body: "",
+    };
+  }
+
+  /**
+   * Handle a request to the creation endpoint or an upload URL
+   * @param {Object} request - { method, url, headers, body }; header names
+   *   are lower case
+   * @returns {Promise<Object>} - Mock response { status, headers, body }
+   */
+  async handle({ method, url, headers, body }) {
+    if (headers["tus-resumable"] !== TUS_VERSION) {
+      return {
+        ...tusErrorResponse(
+          412,
+          "ERR_UNSUPPORTED_VERSION",
+          "missing, invalid or unsupported Tus-Resumable header"
+        ),
+        headers: { "Tus-Version": TUS_VERSION },
+      };
+    }
+
+    if (url.pathname === ENDPOINT_PATH) {
+      return method === "POST"
+        ? this.create(headers)
+        : tusErrorResponse(405, "ERR_METHOD_NOT_ALLOWED", "method not allowed");
+    }
+
+    const id = url.pathname.slice(ENDPOINT_PATH.length);
+    const upload = this.uploads.get(id);
+    if (!url.pathname.startsWith(ENDPOINT_PATH) || !upload) {
+      return tusErrorResponse(404, "ERR_UPLOAD_NOT_FOUND", "upload not found");
+    }
+
+    switch (method) {
+      case "HEAD":
+        return {
+          status: 200,
+          headers: {
+            "Tus-Resumable": TUS_VERSION,
+            "Upload-Offset": String(upload.offset),
+            "Upload-Length": String(upload.length),
+            "Cache-Control": "no-store",
+          },
+          body: "",
+        };
+      case "PATCH":
+        return this.patch(upload, headers, body);
+      case "DELETE":
+        this.uploads.delete(id);
+        return {
+          status: 204,
+          headers: { "Tus-Resumable": TUS_VERSION },
+          body: "",
+        };
+      default:
+        return tusErrorResponse(
+          405,
+          "ERR_METHOD_NOT_ALLOWED",
+          "method not allowed"
+        );
+    }
+  }
+}
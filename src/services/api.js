@@ -1,46 +1,291 @@
 // API service for communicating with the backend
-const API_BASE_URL =
-  import.meta.env.VITE_API_BASE_URL || "http://localhost:3001";
+import { withRetry } from "../utils/retry";
+import { createAbortError, isAbortError } from "./uploadController";
+import { HttpError, NetworkError, UploadError } from "../utils/errors";
+import { computeChecksums } from "./checksumService";
+import { sendXhr } from "./xhr";
+import { getStorageProvider } from "./providers";
+import { uploadConfig } from "../config/uploadConfig";
+
+// Requests without a response after this long fail with a retryable timeout
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Get the backend URL
+ * A <meta name="api-base-url"> tag wins over VITE_API_BASE_URL, so one
+ * build can be deployed against different backends.
+ * @returns {string} - Base URL of the backend
+ */
+const getDefaultBaseURL = () =>
+  globalThis.document?.querySelector('meta[name="api-base-url"]')?.content ||
+  import.meta.env.VITE_API_BASE_URL ||
+  "http://localhost:3001";
+
+/**
+ * Parse a response body according to its content type
+ * Empty bodies (e.g. 204) give null; bodies that are not JSON, such as a
+ * proxy's HTML error page, are returned as text.
+ * @param {Response} response - fetch response
+ * @returns {Promise<any>} - Parsed JSON, text or null
+ */
+const parseResponseBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+
+  const contentType = response.headers.get("Content-Type") || "";
+  if (!contentType.includes("json")) return text;
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * Combine the caller's abort signal with a timeout
+ * @param {AbortSignal} signal - Caller's signal (optional)
+ * @param {number} timeout - Timeout in milliseconds; 0 disables it
+ * @returns {Object} - { signal, clear } where clear() stops the timer
+ */
+const withTimeout = (signal, timeout) => {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  const timer =
+    timeout > 0
+      ? setTimeout(
+          () =>
+            controller.abort(
+              new NetworkError(`Request timed out after ${timeout}ms`, {
+                code: "Timeout",
+              })
+            ),
+          timeout
+        )
+      : null;
+
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener("abort", onAbort, { once: true });
+  }
+
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    },
+  };
+};
 
 /**
  * API client with error handling
  */
 class ApiClient {
-  constructor(baseURL = API_BASE_URL) {
+  /**
+   * @param {string|Function} baseURL - Backend URL, or a function of the
+   *   endpoint that returns (or resolves) one
+   * @param {Object} retryPolicy - Retry policy overrides for every request
+   * @param {Object} options - Client options (optional)
+   * @param {number} options.timeout - Default per-attempt timeout in ms (0 disables)
+   */
+  constructor(baseURL = getDefaultBaseURL(), retryPolicy = {}, options = {}) {
     this.baseURL = baseURL;
+    this.retryPolicy = retryPolicy;
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT_MS;
+    this.auth = null;
+    this.requestInterceptors = [];
+    this.responseInterceptors = [];
   }
 
-  async request(endpoint, options = {}) {
-    const url = `${this.baseURL}${endpoint}`;
-    const config = {
+  /**
+   * Register the auth provider used to sign requests
+   * @param {Object} auth - { getAccessToken(), refreshAccessToken() }, where
+   *   refreshAccessToken resolves true if a new token was obtained, and
+   *   rejects if the token could not be refreshed for now (the request is
+   *   then retried like any failed request)
+   */
+  setAuth(auth) {
+    this.auth = auth;
+  }
+
+  /**
+   * Change where requests are sent
+   * @param {string|Function} baseURL - Backend URL, or a function of the
+   *   endpoint that returns (or resolves) one, e.g. to pick a regional backend
+   */
+  setBaseURL(baseURL) {
+    this.baseURL = baseURL;
+  }
+
+  async resolveURL(endpoint) {
+    const baseURL =
+      typeof this.baseURL === "function"
+        ? await this.baseURL(endpoint)
+        : this.baseURL;
+    return `${baseURL}${endpoint}`;
+  }
+
+  /**
+   * Add a hook that runs before every request attempt, e.g. to add tracing
+   * headers
+   * @param {Function} interceptor - Receives { url, endpoint, init } where
+   *   init is the fetch options; returns (or resolves) the request to send,
+   *   or nothing to keep it
+   * @returns {Function} - Removes the interceptor
+   */
+  addRequestInterceptor(interceptor) {
+    this.requestInterceptors.push(interceptor);
+    return () => {
+      this.requestInterceptors = this.requestInterceptors.filter(
+        (i) => i !== interceptor
+      );
+    };
+  }
+
+  /**
+   * Add a hook that runs after every response, before errors are raised,
+   * e.g. for logging
+   * @param {Function} interceptor - Receives { request, response, data,
+   *   duration }; returns (or resolves) a replacement, or nothing to keep it
+   * @returns {Function} - Removes the interceptor
+   */
+  addResponseInterceptor(interceptor) {
+    this.responseInterceptors.push(interceptor);
+    return () => {
+      this.responseInterceptors = this.responseInterceptors.filter(
+        (i) => i !== interceptor
+      );
+    };
+  }
+
+  async runInterceptors(interceptors, value) {
+    let result = value;
+    for (const interceptor of interceptors) {
+      result = (await interceptor(result)) || result;
+    }
+    return result;
+  }
+
+  buildConfig(fetchOptions, useAuth) {
+    const token = useAuth ? this.auth?.getAccessToken() : null;
+
+    return {
+      ...fetchOptions,
       headers: {
         "Content-Type": "application/json",
-        ...options.headers,
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...fetchOptions.headers,
       },
-      ...options,
     };
+  }
 
-    try {
-      const response = await fetch(url, config);
-      const data = await response.json();
+  /**
+   * Send a request, retrying network errors and 5xx responses
+   * A 401 response triggers one token refresh and resend.
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} options - fetch options (including `signal`), plus
+   *   `retry` (policy overrides, or false to disable retries), `onRetry`
+   *   (retry callback), `auth` (false to send the request without
+   *   credentials) and `timeout` (per-attempt ms, 0 to disable)
+   * @returns {Promise<any>} - Parsed response body; rejects with a
+   *   NetworkError, HttpError (with the backend's error code) or AbortError
+   */
+  async request(endpoint, options = {}) {
+    const {
+      retry,
+      onRetry,
+      auth = true,
+      timeout = this.timeout,
+      ...fetchOptions
+    } = options;
+    const useAuth = auth && this.auth !== null;
+
+    const fetchOnce = async () => {
+      const request = await this.runInterceptors(this.requestInterceptors, {
+        url: await this.resolveURL(endpoint),
+        endpoint,
+        init: this.buildConfig(fetchOptions, useAuth),
+      });
+      const { signal, clear } = withTimeout(request.init.signal, timeout);
+      const startTime = Date.now();
+      let response;
+      let data;
+
+      try {
+        response = await fetch(request.url, { ...request.init, signal });
+        data = await parseResponseBody(response);
+      } catch (error) {
+        // Timeouts abort with a NetworkError as the reason
+        if (isAbortError(error) || error instanceof NetworkError) throw error;
+        throw new NetworkError(
+          `Request to ${endpoint} failed due to network error`,
+          { cause: error }
+        );
+      } finally {
+        clear();
+      }
 
+      return this.runInterceptors(this.responseInterceptors, {
+        request,
+        response,
+        data,
+        duration: Date.now() - startTime,
+      });
+    };
+
+    const send = async () => {
+      let result = await fetchOnce();
+
+      if (result.response.status === 401 && useAuth) {
+        const refreshed = await this.auth.refreshAccessToken();
+        if (refreshed) {
+          result = await fetchOnce();
+        }
+      }
+
+      const { response, data } = result;
       if (!response.ok) {
-        throw new Error(
-          data.error?.message || `HTTP error! status: ${response.status}`
+        throw new HttpError(
+          data?.error?.message || `HTTP error! status: ${response.status}`,
+          { status: response.status, code: data?.error?.code, body: data }
         );
       }
 
       return data;
+    };
+
+    try {
+      return await withRetry(send, {
+        policy:
+          retry === false
+            ? { maxAttempts: 1 }
+            : { ...this.retryPolicy, ...retry },
+        onRetry,
+        signal: fetchOptions.signal,
+      });
     } catch (error) {
       console.error("API request failed:", error);
       throw error;
     }
   }
 
+  /**
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} options - Request options, see request()
+   * @returns {Promise<any>} - Parsed response body
+   */
   async get(endpoint, options = {}) {
     return this.request(endpoint, { method: "GET", ...options });
   }
 
+  /**
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} body - JSON request body
+   * @param {Object} options - Request options, see request()
+   * @returns {Promise<any>} - Parsed response body
+   */
   async post(endpoint, body, options = {}) {
     return this.request(endpoint, {
       method: "POST",
@@ -49,6 +294,12 @@ class ApiClient {
     });
   }
 
+  /**
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} body - JSON request body
+   * @param {Object} options - Request options, see request()
+   * @returns {Promise<any>} - Parsed response body
+   */
   async put(endpoint, body, options = {}) {
     return this.request(endpoint, {
       method: "PUT",
@@ -57,6 +308,11 @@ class ApiClient {
     });
   }
 
+  /**
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} options - Request options, see request()
+   * @returns {Promise<any>} - Parsed response body
+   */
   async delete(endpoint, options = {}) {
     return this.request(endpoint, { method: "DELETE", ...options });
   }
@@ -70,9 +326,20 @@ const apiClient = new ApiClient();
 export const uploadApi = {
   /**
    * Check API health
+   * @param {Object} options - Request options such as signal and timeout (optional)
+   * @returns {Promise<Object>} - Health data
+   */
+  async checkHealth(options = {}) {
+    return apiClient.get("/api/upload/health", options);
+  },
+
+  /**
+   * Get the file validation policy
+   * @param {Object} options - Request options such as signal and timeout (optional)
+   * @returns {Promise<Object>} - Policy with allowed types and per-type limits
    */
-  async checkHealth() {
-    return apiClient.get("/api/upload/health");
+  async getValidationPolicy(options = {}) {
+    return apiClient.get("/api/upload/policy", options);
   },
 
   /**
@@ -81,13 +348,21 @@ export const uploadApi = {
    * @param {string} contentType - MIME type of the file
    * @param {string} userId - User ID (optional)
    * @param {number} fileSize - File size in bytes (optional)
+   * @param {string} relativePath - Path of the file within an uploaded
+   *   folder, e.g. "DCIM/100GOPRO/GX010001.MP4" (optional)
+   * @param {string} contentHash - Hex SHA-256 of the file, stored so later
+   *   uploads of the same content can be found (optional)
+   * @param {Object} options - Request options such as signal and timeout (optional)
    * @returns {Promise<Object>} - Upload data with presigned URL
    */
   async generatePresignedUrl(
     fileName,
     contentType,
     userId = "anonymous",
-    fileSize = null
+    fileSize = null,
+    relativePath = null,
+    contentHash = null,
+    options = {}
   ) {
     const payload = {
       fileName,
@@ -99,59 +374,183 @@ export const uploadApi = {
       payload.fileSize = fileSize;
     }
 
-    return apiClient.post("/api/upload/presigned-url", payload);
+    if (relativePath !== null) {
+      payload.relativePath = relativePath;
+    }
+
+    if (contentHash !== null) {
+      payload.contentHash = contentHash;
+    }
+
+    return apiClient.post("/api/upload/presigned-url", payload, options);
+  },
+
+  /**
+   * Find a finished upload with the same content
+   * @param {string} contentHash - Hex SHA-256 of the file
+   * @param {number} fileSize - File size in bytes
+   * @param {string} userId - User whose uploads are searched (optional)
+   * @param {Object} options - Request options such as signal and timeout (optional)
+   * @returns {Promise<Object>} - { upload }: the matching upload with a
+   *   downloadUrl, or null if there is none
+   */
+  async findUploadByHash(
+    contentHash,
+    fileSize,
+    userId = "anonymous",
+    options = {}
+  ) {
+    const params = new URLSearchParams({
+      hash: contentHash,
+      size: fileSize,
+      userId,
+    });
+    return apiClient.get(`/api/upload/lookup?${params.toString()}`, options);
+  },
+
+  /**
+   * Create an upload that reuses the stored file of an existing upload
+   * instead of uploading the same content again
+   * @param {string} sourceUploadId - Upload whose file is reused
+   * @param {string} fileName - Name of the new upload
+   * @param {string} userId - User ID (optional)
+   * @param {string} relativePath - Path of the file within an uploaded
+   *   folder (optional)
+   * @param {Object} metadata - Video metadata read on the client (optional)
+   * @param {Object} options - Request options such as signal and timeout (optional)
+   * @returns {Promise<Object>} - The new upload's data with downloadUrl
+   */
+  async createUploadReference(
+    sourceUploadId,
+    fileName,
+    userId = "anonymous",
+    relativePath = null,
+    metadata = null,
+    options = {}
+  ) {
+    const payload = { sourceUploadId, fileName, userId };
+
+    if (relativePath !== null) {
+      payload.relativePath = relativePath;
+    }
+
+    if (metadata !== null) {
+      payload.metadata = metadata;
+    }
+
+    return apiClient.post("/api/upload/reference", payload, options);
   },
 
   /**
    * Confirm successful upload
    * @param {string} uploadId - Upload ID from presigned URL generation
+   * @param {Object} checksum - Client-side checksums of the file (optional)
+   * @param {Object} metadata - Video metadata read on the client (optional)
+   * @param {Object} options - Request options such as signal and timeout (optional)
    * @returns {Promise<Object>} - Upload confirmation data
    */
-  async confirmUpload(uploadId) {
-    return apiClient.post("/api/upload/confirm", { uploadId });
+  async confirmUpload(
+    uploadId,
+    checksum = null,
+    metadata = null,
+    options = {}
+  ) {
+    const payload = { uploadId };
+
+    if (checksum !== null) {
+      payload.checksum = checksum;
+    }
+
+    if (metadata !== null) {
+      payload.metadata = metadata;
+    }
+
+    return apiClient.post("/api/upload/confirm", payload, options);
+  },
+
+  /**
+   * Generate a presigned URL for an upload's thumbnail
+   * The thumbnail is stored as a sibling object of the upload.
+   * @param {string} uploadId - Upload ID the thumbnail belongs to
+   * @param {string} contentType - MIME type of the thumbnail
+   * @param {number} fileSize - Thumbnail size in bytes
+   * @param {Object} options - Request options such as signal and timeout (optional)
+   * @returns {Promise<Object>} - Upload data with presignedUrl and s3Key
+   */
+  async generateThumbnailUrl(uploadId, contentType, fileSize, options = {}) {
+    return apiClient.post(
+      "/api/upload/thumbnail-url",
+      {
+        uploadId,
+        contentType,
+        fileSize,
+      },
+      options
+    );
   },
 
   /**
    * Get upload status
    * @param {string} uploadId - Upload ID
+   * @param {Object} options - Request options such as signal and timeout (optional)
    * @returns {Promise<Object>} - Upload status data
    */
-  async getUploadStatus(uploadId) {
-    return apiClient.get(`/api/upload/${uploadId}`);
+  async getUploadStatus(uploadId, options = {}) {
+    return apiClient.get(`/api/upload/${uploadId}`, options);
   },
 
   /**
    * Delete uploaded file
    * @param {string} uploadId - Upload ID
+   * @param {Object} options - Request options such as signal and timeout (optional)
    * @returns {Promise<Object>} - Deletion confirmation
    */
-  async deleteUpload(uploadId) {
-    return apiClient.delete(`/api/upload/${uploadId}`);
+  async deleteUpload(uploadId, options = {}) {
+    return apiClient.delete(`/api/upload/${uploadId}`, options);
   },
 
   /**
    * Generate download URL
    * @param {string} s3Key - S3 object key
    * @param {number} expiresIn - Expiration time in seconds
+   * @param {Object} options - Request options such as signal and timeout (optional)
    * @returns {Promise<Object>} - Download URL data
    */
-  async generateDownloadUrl(s3Key, expiresIn = 3600) {
-    return apiClient.post("/api/upload/download-url", { s3Key, expiresIn });
+  async generateDownloadUrl(s3Key, expiresIn = 3600, options = {}) {
+    return apiClient.post(
+      "/api/upload/download-url",
+      { s3Key, expiresIn },
+      options
+    );
   },
 
   /**
-   * List uploads (for debugging)
+   * List uploads
    * @param {string} userId - Filter by user ID
    * @param {string} status - Filter by status
-   * @returns {Promise<Object>} - List of uploads
+   * @param {Object} page - Pagination options (optional)
+   * @param {number} page.limit - Max number of uploads to return
+   * @param {number} page.offset - Number of uploads to skip
+   * @param {string} page.cursor - nextCursor of the previous page; the page
+   *   starts after the last upload of that page, whatever was deleted or
+   *   added since (takes the place of offset)
+   * @param {Object} options - Request options such as signal and timeout (optional)
+   * @returns {Promise<Object>} - List of uploads, with nextCursor when the
+   *   backend supports cursors
    */
-  async listUploads(userId, status) {
+  async listUploads(userId, status, page = {}, options = {}) {
     const params = new URLSearchParams();
     if (userId) params.append("userId", userId);
     if (status) params.append("status", status);
+    if (page.limit) params.append("limit", page.limit);
+    if (page.cursor) {
+      params.append("cursor", page.cursor);
+    } else if (page.offset) {
+      params.append("offset", page.offset);
+    }
 
     const query = params.toString() ? `?${params.toString()}` : "";
-    return apiClient.get(`/api/upload${query}`);
+    return apiClient.get(`/api/upload${query}`, options);
   },
 
   /**
@@ -160,42 +559,100 @@ export const uploadApi = {
    * @param {string} contentType - MIME type of the file
    * @param {number} fileSize - File size in bytes
    * @param {string} userId - User ID (optional)
+   * @param {number} partSize - Requested part size in bytes (optional)
+   * @param {string} relativePath - Path of the file within an uploaded
+   *   folder (optional)
+   * @param {string} contentHash - Hex SHA-256 of the file (optional)
+   * @param {Object} options - Request options such as signal and timeout (optional)
    * @returns {Promise<Object>} - Multipart upload data
    */
   async initiateMultipartUpload(
     fileName,
     contentType,
     fileSize,
-    userId = "anonymous"
+    userId = "anonymous",
+    partSize = null,
+    relativePath = null,
+    contentHash = null,
+    options = {}
   ) {
-    return apiClient.post("/api/upload/multipart/initiate", {
+    const payload = {
       fileName,
       contentType,
       fileSize,
       userId,
-    });
+    };
+
+    if (partSize !== null) {
+      payload.partSize = partSize;
+    }
+
+    if (relativePath !== null) {
+      payload.relativePath = relativePath;
+    }
+
+    if (contentHash !== null) {
+      payload.contentHash = contentHash;
+    }
+
+    return apiClient.post("/api/upload/multipart/initiate", payload, options);
   },
 
   /**
    * Complete a multipart upload
    * @param {string} uploadId - Upload ID from multipart initiation
    * @param {Array} parts - Array of completed parts with ETag and PartNumber
+   * @param {Object} checksum - Composite client-side checksums (optional)
+   * @param {Object} metadata - Video metadata read on the client (optional)
+   * @param {Object} options - Request options such as signal and timeout (optional)
    * @returns {Promise<Object>} - Upload completion data
    */
-  async completeMultipartUpload(uploadId, parts) {
-    return apiClient.post("/api/upload/multipart/complete", {
-      uploadId,
-      parts,
-    });
+  async completeMultipartUpload(
+    uploadId,
+    parts,
+    checksum = null,
+    metadata = null,
+    options = {}
+  ) {
+    const payload = { uploadId, parts };
+
+    if (checksum !== null) {
+      payload.checksum = checksum;
+    }
+
+    if (metadata !== null) {
+      payload.metadata = metadata;
+    }
+
+    return apiClient.post("/api/upload/multipart/complete", payload, options);
   },
 
   /**
    * Abort a multipart upload
    * @param {string} uploadId - Upload ID from multipart initiation
+   * @param {Object} options - Request options such as signal and timeout (optional)
    * @returns {Promise<Object>} - Abort confirmation
    */
-  async abortMultipartUpload(uploadId) {
-    return apiClient.post("/api/upload/multipart/abort", { uploadId });
+  async abortMultipartUpload(uploadId, options = {}) {
+    return apiClient.post("/api/upload/multipart/abort", { uploadId }, options);
+  },
+
+  /**
+   * Generate fresh presigned URLs for parts of a multipart upload
+   * @param {string} uploadId - Upload ID from multipart initiation
+   * @param {Array<number>} partNumbers - Part numbers that need new URLs
+   * @param {Object} options - Request options such as signal and timeout (optional)
+   * @returns {Promise<Object>} - Part URL data with { partNumber, presignedUrl } entries
+   */
+  async refreshPartUrls(uploadId, partNumbers, options = {}) {
+    return apiClient.post(
+      "/api/upload/multipart/part-urls",
+      {
+        uploadId,
+        partNumbers,
+      },
+      options
+    );
   },
 };
 
@@ -203,127 +660,326 @@ export const uploadApi = {
  * Upload a file directly to S3 using presigned URL
  * @param {string} presignedUrl - The presigned URL
  * @param {File} file - The file to upload
- * @param {Function} onProgress - Progress callback
- * @returns {Promise<Response>} - Upload response
+ * @param {Function} onProgress - Progress callback, receives (percent, { loaded, total })
+ * @param {Object} options - Upload options (optional)
+ * @param {Object} options.retry - Retry policy overrides
+ * @param {Function} options.onRetry - Called before each retry
+ * @param {AbortSignal} options.signal - Aborts the upload when fired
+ * @param {UploadController} options.controller - Stops the upload while
+ *   paused; it is sent again from the start once resumed (optional)
+ * @param {Object} options.headers - Extra request headers (e.g. checksums)
+ * @returns {Promise<XMLHttpRequest>} - The finished request
  */
-export const uploadFileToS3 = async (presignedUrl, file, onProgress) => {
-  return new Promise((resolve, reject) => {
-    const xhr = new XMLHttpRequest();
-
-    xhr.upload.addEventListener("progress", (e) => {
-      if (e.lengthComputable && onProgress) {
-        const percentComplete = Math.round((e.loaded / e.total) * 100);
-        onProgress(percentComplete);
-      }
-    });
-
-    xhr.addEventListener("load", () => {
-      if (xhr.status >= 200 && xhr.status < 300) {
-        resolve(xhr);
-      } else {
-        reject(
-          new Error(
-            `Upload failed with status ${xhr.status}: ${xhr.statusText}`
-          )
-        );
-      }
-    });
-
-    xhr.addEventListener("error", () => {
-      reject(new Error("Upload failed due to network error"));
-    });
-
-    xhr.addEventListener("abort", () => {
-      reject(new Error("Upload was aborted"));
+export const uploadFileToS3 = async (
+  presignedUrl,
+  file,
+  onProgress,
+  options = {}
+) => {
+  const { signal, controller, headers } = options;
+  const send = (requestSignal) =>
+    sendXhr("PUT", presignedUrl, file, {
+      headers: { "Content-Type": file.type, ...headers },
+      signal: requestSignal,
+      onProgress: (loaded, total) => {
+        if (total && onProgress) {
+          onProgress(Math.round((loaded / total) * 100), { loaded, total });
+        }
+      },
     });
 
-    xhr.open("PUT", presignedUrl);
-    xhr.setRequestHeader("Content-Type", file.type);
-    xhr.send(file);
-  });
+  return withRetry(
+    () => (controller ? controller.abortOnPause(send) : send(signal)),
+    {
+      policy: options.retry,
+      onRetry: options.onRetry,
+      signal,
+      controller,
+    }
+  );
 };
 
 /**
  * Upload a file part to S3 using presigned URL
  * @param {string} presignedUrl - The presigned URL for the part
  * @param {Blob} chunk - The file chunk to upload
+ * @param {Object} options - Upload options (optional)
+ * @param {Object} options.retry - Retry policy overrides
+ * @param {Function} options.onRetry - Called before each retry
+ * @param {AbortSignal} options.signal - Aborts the upload when fired
+ * @param {Object} options.headers - Extra request headers (e.g. checksums)
+ * @param {Function} options.onProgress - Called with the bytes of the part sent so far
  * @returns {Promise<string>} - The ETag from the response
  */
-export const uploadPartToS3 = async (presignedUrl, chunk) => {
-  return new Promise((resolve, reject) => {
-    const xhr = new XMLHttpRequest();
-
-    xhr.addEventListener("load", () => {
-      if (xhr.status >= 200 && xhr.status < 300) {
-        const etag = xhr.getResponseHeader("ETag");
-        if (etag) {
-          resolve(etag);
-        } else {
-          reject(new Error("No ETag received from S3"));
-        }
-      } else {
-        reject(
-          new Error(
-            `Part upload failed with status ${xhr.status}: ${xhr.statusText}`
-          )
-        );
-      }
-    });
-
-    xhr.addEventListener("error", () => {
-      reject(new Error("Part upload failed due to network error"));
-    });
-
-    xhr.addEventListener("abort", () => {
-      reject(new Error("Part upload was aborted"));
-    });
+export const uploadPartToS3 = async (presignedUrl, chunk, options = {}) => {
+  const { signal, headers, onProgress } = options;
+
+  return withRetry(
+    async () => {
+      const xhr = await sendXhr("PUT", presignedUrl, chunk, {
+        headers,
+        signal,
+        onProgress,
+        label: "Part upload",
+      });
 
-    xhr.open("PUT", presignedUrl);
-    xhr.send(chunk);
-  });
+      const etag = xhr.getResponseHeader("ETag");
+      if (!etag) {
+        // S3's CORS config must list ETag in ExposeHeaders
+        throw new UploadError("No ETag received from S3", {
+          code: "MissingETag",
+        });
+      }
+      return etag;
+    },
+    {
+      policy: options.retry,
+      onRetry: options.onRetry,
+      signal,
+    }
+  );
 };
 
 /**
- * Upload a large file using multipart upload
+ * Upload a large file in parts through a storage provider adapter
+ * When a part fails for good, the parts still in flight are aborted and
+ * parts that finish anyway are not reported.
  * @param {File} file - The file to upload
- * @param {Object} multipartData - Multipart upload data from backend
- * @param {Function} onProgress - Progress callback
- * @returns {Promise<Array>} - Array of completed parts
+ * @param {Object} session - Provider session from the backend's multipart
+ *   initiation, with at least { uploadId, partSize, provider }
+ * @param {Function} onProgress - Progress callback, receives (percent, { loaded, total })
+ *   including bytes of parts that are still in flight
+ * @param {Object} options - Upload options (optional)
+ * @param {Object} options.provider - Storage provider adapter (default: picked from session.provider)
+ * @param {number} options.concurrency - Max number of parts in flight at once
+ * @param {Array} options.completedParts - Parts already uploaded in a previous session
+ * @param {Function} options.onPartComplete - Called with each newly completed part and its checksums
+ * @param {Object} options.retry - Retry policy overrides for each part
+ * @param {Function} options.onRetry - Called before each part retry with { partNumber, retry, maxRetries, delay, error }
+ * @param {UploadController} options.controller - Cancels the upload, or pauses scheduling of new parts and holds part retries
+ * @param {Function} options.onSessionUpdated - Called with the session after its upload URLs were refreshed
+ * @param {string} options.checksumAlgorithm - "md5" or "sha256" to checksum each part (optional)
+ * @returns {Promise<Array>} - Array of completed parts sorted by PartNumber
  */
-export const uploadMultipartFile = async (file, multipartData, onProgress) => {
-  const { partUrls, partSize } = multipartData;
-  const completedParts = [];
-  let uploadedBytes = 0;
-
-  for (let i = 0; i < partUrls.length; i++) {
-    const partUrl = partUrls[i];
-    const start = i * partSize;
-    const end = Math.min(start + partSize, file.size);
-    const chunk = file.slice(start, end);
+export const uploadMultipartFile = async (
+  file,
+  session,
+  onProgress,
+  options = {}
+) => {
+  const provider = options.provider || getStorageProvider(session.provider);
+  const { partSize } = session;
+  const partCount = Math.max(1, Math.ceil(file.size / partSize));
+  const completedParts = [...(options.completedParts || [])];
+  const donePartNumbers = new Set(completedParts.map((p) => p.PartNumber));
+  const pendingPartNumbers = Array.from(
+    { length: partCount },
+    (_, i) => i + 1
+  ).filter((partNumber) => !donePartNumbers.has(partNumber));
+  const concurrency = Math.max(
+    1,
+    Math.min(
+      Math.floor(options.concurrency ?? uploadConfig.partConcurrency) || 1,
+      provider.maxConcurrency,
+      pendingPartNumbers.length
+    )
+  );
+  const getPartRange = (partNumber) => {
+    const start = (partNumber - 1) * partSize;
+    return { start, end: Math.min(start + partSize, file.size) };
+  };
+  let uploadedBytes = completedParts.reduce((total, part) => {
+    const { start, end } = getPartRange(part.PartNumber);
+    return total + (end - start);
+  }, 0);
+  let nextIndex = 0;
+  let failed = false;
+
+  // Aborts every part still in flight once one part has failed for good,
+  // as well as when the upload is cancelled
+  const poolController = new AbortController();
+  const abortPool = () => poolController.abort(createAbortError());
+  options.controller?.signal.addEventListener("abort", abortPool, {
+    once: true,
+  });
 
-    try {
-      const etag = await uploadPartToS3(partUrl.presignedUrl, chunk);
+  // Upload URLs can be replaced mid-upload when they expire; the generation
+  // count tells a part whether another part already refreshed them
+  let refreshPromise = null;
+  let refreshGeneration = 0;
+
+  // Refresh the URLs of every part that is not done yet; concurrent callers
+  // share the same request
+  const refreshRemainingUrls = () => {
+    if (!refreshPromise) {
+      const remainingPartNumbers = pendingPartNumbers.filter(
+        (partNumber) => !donePartNumbers.has(partNumber)
+      );
 
-      completedParts.push({
-        PartNumber: partUrl.partNumber,
-        ETag: etag,
-      });
+      console.log(
+        `Refreshing upload URLs for ${remainingPartNumbers.length} parts...`
+      );
+      refreshPromise = provider
+        .refresh(session, remainingPartNumbers)
+        .then(() => {
+          refreshGeneration++;
+          options.onSessionUpdated?.(session);
+        })
+        .finally(() => {
+          refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+  };
 
-      uploadedBytes += chunk.size;
+  // Bytes sent so far for each part that is still in flight
+  const inFlightBytes = new Map();
+
+  const reportProgress = () => {
+    if (!onProgress) return;
+
+    let loaded = uploadedBytes;
+    inFlightBytes.forEach((bytes) => {
+      loaded += bytes;
+    });
+    loaded = Math.min(loaded, file.size);
+    onProgress(Math.round((loaded / file.size) * 100), {
+      loaded,
+      total: file.size,
+    });
+  };
+
+  const sendPart = async (partNumber, chunk, checksums) => {
+    const { signal } = poolController;
+    const send = () =>
+      withRetry(
+        () =>
+          provider.uploadPart(session, {
+            partNumber,
+            chunk,
+            offset: getPartRange(partNumber).start,
+            totalSize: file.size,
+            checksums,
+            checksumAlgorithm: options.checksumAlgorithm,
+            signal,
+            onProgress: (loaded) => {
+              inFlightBytes.set(partNumber, loaded);
+              reportProgress();
+            },
+          }),
+        {
+          policy: options.retry,
+          onRetry: (info) => {
+            // The retried request starts sending the part from scratch
+            inFlightBytes.set(partNumber, 0);
+            reportProgress();
+            options.onRetry?.({ partNumber, ...info });
+          },
+          signal,
+          controller: options.controller,
+        }
+      );
 
-      if (onProgress) {
-        const progress = Math.round((uploadedBytes / file.size) * 100);
-        onProgress(progress);
+    if (!provider.refresh) {
+      return send();
+    }
+
+    if (provider.isExpiring(session, partNumber)) {
+      await refreshRemainingUrls();
+    }
+
+    const generation = refreshGeneration;
+    try {
+      return await send();
+    } catch (error) {
+      // A new signature does not help a skewed clock or bad credentials
+      if (
+        error.status !== 403 ||
+        ["RequestTimeTooSkewed", "SignatureDoesNotMatch"].includes(error.code)
+      ) {
+        throw error;
       }
+
+      // The URL may have expired while the part was in flight or waiting
+      // for a retry, so get a fresh one (unless another part already did)
+      // and try once more
+      console.warn(`Part ${partNumber} was rejected with 403, re-signing...`);
+      if (refreshGeneration === generation) {
+        await refreshRemainingUrls();
+      }
+      return send();
+    }
+  };
+
+  if (uploadedBytes > 0) {
+    reportProgress();
+  }
+
+  const uploadPart = async (partNumber) => {
+    const { start, end } = getPartRange(partNumber);
+    const chunk = file.slice(start, end);
+
+    try {
+      const checksums = options.checksumAlgorithm
+        ? await computeChecksums(chunk, options.checksumAlgorithm)
+        : null;
+      const part = await sendPart(partNumber, chunk, checksums);
+      // The upload has already been reported as failed
+      if (failed) return;
+
+      completedParts.push(part);
+      donePartNumbers.add(partNumber);
+      options.onPartComplete?.(part, checksums);
+
+      inFlightBytes.delete(partNumber);
+      uploadedBytes += chunk.size;
+      reportProgress();
     } catch (error) {
-      console.error(`Failed to upload part ${partUrl.partNumber}:`, error);
-      throw new Error(
-        `Failed to upload part ${partUrl.partNumber}: ${error.message}`
+      inFlightBytes.delete(partNumber);
+      if (isAbortError(error)) throw error;
+
+      console.error(`Failed to upload part ${partNumber}:`, error);
+      // Typed errors are passed on so callers can tell why the part failed
+      if (error instanceof UploadError) {
+        error.partNumber = partNumber;
+        throw error;
+      }
+      throw new UploadError(
+        `Failed to upload part ${partNumber}: ${error.message}`,
+        { cause: error }
       );
     }
+  };
+
+  // Each worker pulls the next pending part until none are left, so at most
+  // `concurrency` parts are in flight at any time. Sequential providers get a
+  // single worker, which sends parts in order.
+  const worker = async () => {
+    while (!failed && nextIndex < pendingPartNumbers.length) {
+      // Paused uploads stop picking up new parts until resumed
+      await options.controller?.waitUntilResumed();
+      if (failed || nextIndex >= pendingPartNumbers.length) return;
+
+      const partNumber = pendingPartNumbers[nextIndex++];
+      try {
+        await uploadPart(partNumber);
+      } catch (error) {
+        if (!failed) {
+          failed = true;
+          abortPool();
+        }
+        throw error;
+      }
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: concurrency }, worker));
+  } finally {
+    options.controller?.signal.removeEventListener("abort", abortPool);
   }
 
-  return completedParts;
+  return completedParts.sort((a, b) => a.PartNumber - b.PartNumber);
 };
 
 export default apiClient;
@@ -0,0 +1,178 @@
+// Authentication: login, token storage and refresh
+import apiClient from "./api";
+import { HttpError } from "../utils/errors";
+
+const SESSION_STORAGE_KEY = "uploader:session";
+
+// Statuses the refresh endpoint answers when the refresh token is no longer
+// valid; other failures (network, timeouts, 5xx) leave the session alone
+const REJECTED_REFRESH_STATUSES = [400, 401];
+
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+let session = loadSession();
+let refreshPromise = null;
+const listeners = new Set();
+
+const setSession = (newSession) => {
+  session = newSession;
+
+  try {
+    if (newSession) {
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(newSession));
+    } else {
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error("Failed to persist session:", error);
+  }
+
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Auth state, subscribable so React can re-render on login and logout
+ */
+export const authStore = {
+  /**
+   * Get the current session
+   * @returns {Object|null} - { accessToken, refreshToken, user } or null
+   */
+  getSession() {
+    return session;
+  },
+
+  /**
+   * Get the signed-in user
+   * @returns {Object|null} - User with at least an `id`, or null
+   */
+  getUser() {
+    return session?.user || null;
+  },
+
+  /**
+   * Listen for login, logout and token refreshes
+   * @param {Function} listener - Called after every session change
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
+
+/**
+ * Auth API service
+ */
+export const authApi = {
+  /**
+   * Sign in and store the session
+   * @param {string} email - User email
+   * @param {string} password - User password
+   * @returns {Promise<Object>} - The signed-in user
+   */
+  async login(email, password) {
+    const response = await apiClient.post(
+      "/api/auth/login",
+      { email, password },
+      { auth: false, retry: false }
+    );
+
+    if (!response.success) {
+      throw new Error("Login failed");
+    }
+
+    const { accessToken, refreshToken, user } = response.data;
+    setSession({ accessToken, refreshToken, user });
+    return user;
+  },
+
+  /**
+   * Exchange the refresh token for a new access token
+   * Concurrent callers share one refresh request. The session is cleared
+   * only if the refresh token is rejected; when the backend cannot be
+   * reached the session is kept and the error is rethrown, so the caller
+   * can retry.
+   * @returns {Promise<boolean>} - True if a new access token was stored,
+   *   false if there is no session or it was signed out
+   */
+  async refresh() {
+    if (!session?.refreshToken) {
+      return false;
+    }
+
+    if (!refreshPromise) {
+      refreshPromise = apiClient
+        .post(
+          "/api/auth/refresh",
+          { refreshToken: session.refreshToken },
+          { auth: false }
+        )
+        .then((response) => {
+          if (!response.success) {
+            console.error("Token refresh was refused, signing out");
+            setSession(null);
+            return false;
+          }
+
+          const { accessToken, refreshToken, user } = response.data;
+          setSession({
+            accessToken,
+            refreshToken: refreshToken || session.refreshToken,
+            user: user || session.user,
+          });
+          return true;
+        })
+        .catch((error) => {
+          if (
+            !(error instanceof HttpError) ||
+            !REJECTED_REFRESH_STATUSES.includes(error.status)
+          ) {
+            console.error("Token refresh failed, keeping the session:", error);
+            throw error;
+          }
+
+          console.error("Refresh token was rejected, signing out:", error);
+          setSession(null);
+          return false;
+        })
+        .finally(() => {
+          refreshPromise = null;
+        });
+    }
+
+    return refreshPromise;
+  },
+
+  /**
+   * Sign out locally and revoke the refresh token on the backend
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    const refreshToken = session?.refreshToken;
+    setSession(null);
+
+    if (refreshToken) {
+      try {
+        await apiClient.post(
+          "/api/auth/logout",
+          { refreshToken },
+          { auth: false, retry: false }
+        );
+      } catch (error) {
+        console.error("Failed to revoke session:", error);
+      }
+    }
+  },
+};
+
+apiClient.setAuth({
+  getAccessToken: () => session?.accessToken || null,
+  refreshAccessToken: () => authApi.refresh(),
+});
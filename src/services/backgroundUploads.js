@@ -0,0 +1,347 @@
+// Hands multipart transfers to a Service Worker (or SharedWorker) so they
+// keep going when the page that started them navigates away
+import apiClient from "./api";
+import { uploadConfig } from "../config/uploadConfig";
+import {
+  AbortError,
+  ChecksumMismatchError,
+  HttpError,
+  NetworkError,
+  S3Error,
+  UploadError,
+  ValidationError,
+} from "../utils/errors";
+
+// BroadcastChannel shared by the worker and every open tab
+export const BACKGROUND_CHANNEL = "uploader:background";
+
+// Built as its own entry so it can be registered at the site root
+const SERVICE_WORKER_URL = import.meta.env.DEV
+  ? "/src/workers/backgroundUploadWorker.js"
+  : `${import.meta.env.BASE_URL}upload-worker.js`;
+
+// The worker must control the app's pages; in development it is served from
+// /src/workers/, so the dev server allows the wider scope with a
+// Service-Worker-Allowed header (see vite.config.js)
+const SERVICE_WORKER_SCOPE = import.meta.env.BASE_URL;
+
+// How long to wait for the Service Worker to activate before using a
+// SharedWorker instead
+const SERVICE_WORKER_READY_TIMEOUT_MS = 10000;
+
+/**
+ * Flatten an error so it can be posted between the worker and tabs
+ * @param {Error} error - The error
+ * @returns {Object} - { name, message, code, status, retryable } and the
+ *   extra fields of the error's class
+ */
+export const serializeError = (error) => ({
+  name: error?.name || "Error",
+  message: error?.message || String(error),
+  code: error?.code ?? null,
+  status: error?.status,
+  retryable: error?.retryable ?? false,
+  body: typeof error?.body === "string" ? error.body : null,
+  requestId: error?.requestId ?? null,
+  rule: error?.rule ?? null,
+  expected: error?.expected ?? null,
+  actual: error?.actual ?? null,
+});
+
+// Error classes rebuilt from a serialized error's name, so instanceof
+// checks (error messages, retry decisions) work as for foreground uploads
+const ERROR_BUILDERS = {
+  AbortError: (data) => new AbortError(data.message),
+  NetworkError: (data) =>
+    new NetworkError(data.message, {
+      code: data.code,
+      retryable: data.retryable,
+    }),
+  HttpError: (data) =>
+    new HttpError(data.message, {
+      status: data.status,
+      code: data.code,
+      body: data.body,
+      retryable: data.retryable,
+    }),
+  S3Error: (data) =>
+    new S3Error(data.message, {
+      status: data.status,
+      code: data.code,
+      body: data.body,
+      requestId: data.requestId,
+      retryable: data.retryable,
+    }),
+  ValidationError: (data) => new ValidationError(data.message, data.rule),
+  ChecksumMismatchError: (data) =>
+    new ChecksumMismatchError(data.expected, data.actual),
+};
+
+/**
+ * Rebuild an error posted by the worker
+ * @param {Object} data - Serialized error
+ * @returns {Error} - An error of the original class, or an UploadError
+ *   carrying the original name, code and status for other errors
+ */
+export const deserializeError = (data) => {
+  const build = ERROR_BUILDERS[data.name];
+  if (build) return build(data);
+
+  const error = new UploadError(data.message, {
+    code: data.code,
+    retryable: data.retryable,
+  });
+  error.name = data.name;
+  error.status = data.status;
+  return error;
+};
+
+/**
+ * Wait for the Service Worker to become active
+ * @returns {Promise<ServiceWorkerRegistration>} - Rejects if it does not
+ *   activate within SERVICE_WORKER_READY_TIMEOUT_MS
+ */
+const waitForServiceWorker = () => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error("Service Worker did not activate in time")),
+      SERVICE_WORKER_READY_TIMEOUT_MS
+    );
+  });
+  return Promise.race([navigator.serviceWorker.ready, timeout]).finally(() =>
+    clearTimeout(timer)
+  );
+};
+
+let channel = null;
+let connecting = null;
+let jobs = [];
+const ownJobIds = new Set();
+const listeners = new Set();
+
+const notify = () => listeners.forEach((listener) => listener());
+
+/**
+ * Keep the job list in sync with the worker's broadcasts
+ * @param {Object} job - Job snapshot; finished jobs are dropped
+ */
+const updateJob = (job) => {
+  const others = jobs.filter((existing) => existing.jobId !== job.jobId);
+  jobs = ["done", "error", "cancelled"].includes(job.status)
+    ? others
+    : [...others, job];
+  notify();
+};
+
+const getChannel = () => {
+  if (!channel) {
+    channel = new BroadcastChannel(BACKGROUND_CHANNEL);
+    channel.addEventListener("message", ({ data }) => {
+      if (data.type === "job") {
+        updateJob(data.job);
+      } else if (data.type === "jobs") {
+        jobs = data.jobs;
+        notify();
+      } else if (data.type === "refresh-token") {
+        // Tokens live in the page; any tab can refresh one for the worker
+        refreshWorkerToken();
+      }
+    });
+  }
+  return channel;
+};
+
+const refreshWorkerToken = async () => {
+  const auth = apiClient.auth;
+  if (!auth) return;
+
+  try {
+    const refreshed = await auth.refreshAccessToken();
+    getChannel().postMessage({
+      type: "token",
+      accessToken: refreshed ? auth.getAccessToken() : null,
+    });
+  } catch (error) {
+    // Still signed in; the worker retries the request
+    getChannel().postMessage({ type: "token", error: serializeError(error) });
+  }
+};
+
+/**
+ * Register the Service Worker, falling back to a SharedWorker
+ * @returns {Promise<Function>} - Posts a message to the worker
+ */
+const startWorker = async () => {
+  if ("serviceWorker" in navigator) {
+    try {
+      await navigator.serviceWorker.register(SERVICE_WORKER_URL, {
+        type: "module",
+        scope: SERVICE_WORKER_SCOPE,
+      });
+      const registration = await waitForServiceWorker();
+      return (message) => registration.active.postMessage(message);
+    } catch (error) {
+      console.warn("Service Worker unavailable, using a SharedWorker:", error);
+    }
+  }
+
+  const worker = new SharedWorker(
+    new URL("../workers/backgroundUploadWorker.js", import.meta.url),
+    { type: "module", name: "uploader-background" }
+  );
+  worker.port.start();
+  return (message) => worker.port.postMessage(message);
+};
+
+/**
+ * Background upload client
+ *
+ * Jobs are reported by the worker over a BroadcastChannel, so every open
+ * tab can show the progress of transfers started by any of them.
+ * Browsers stop Service Workers that stay busy for too long (minutes, in
+ * Chrome) and a SharedWorker only lives while a tab is open; if the worker
+ * is stopped, the upload stays saved and can be resumed from the page.
+ */
+export const backgroundUploads = {
+  /**
+   * Check if the browser can run background uploads
+   * @returns {boolean} - True if a Service Worker or SharedWorker is available
+   */
+  isSupported() {
+    return (
+      typeof BroadcastChannel !== "undefined" &&
+      ("serviceWorker" in navigator || typeof SharedWorker !== "undefined")
+    );
+  },
+
+  /**
+   * Background jobs of every tab that are still running
+   * @returns {Array<Object>} - { jobId, fileName, fileSize, status, progress,
+   *   loadedBytes }
+   */
+  getJobs() {
+    return jobs;
+  },
+
+  /**
+   * Listen for job changes; asks the worker for its current jobs
+   * @param {Function} listener - Called after every change
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    getChannel().postMessage({ type: "list" });
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * Change upload configuration for running jobs too, e.g. the speed cap
+   * @param {Object} overrides - Config keys to change
+   */
+  configure(overrides) {
+    getChannel().postMessage({ type: "configure", config: overrides });
+  },
+
+  /**
+   * Check if a job was started by this tab (and so is in its queue)
+   * @param {string} jobId - Job ID
+   * @returns {boolean} - True for this tab's jobs
+   */
+  isOwnJob(jobId) {
+    return ownJobIds.has(jobId);
+  },
+
+  /**
+   * Run a started multipart upload in the worker
+   * Cancelling through the controller stops the job; the worker then
+   * aborts the upload on the backend itself.
+   * @param {File} file - The file being uploaded
+   * @param {Object} transfer - See transferMultipartUpload
+   * @param {Object} options - { controller, onStatus, onProgress, onRetry,
+   *   onPartComplete } as for runUpload
+   * @returns {Promise<Object>} - { uploadId, downloadUrl } of the finished upload
+   */
+  async transfer(file, transfer, options) {
+    const { controller, onStatus, onProgress, onRetry, onPartComplete } =
+      options;
+    if (!connecting) {
+      connecting = startWorker().catch((error) => {
+        connecting = null;
+        throw error;
+      });
+    }
+    const postToWorker = await connecting;
+    const broadcast = getChannel();
+    const jobId = crypto.randomUUID();
+
+    const apiBaseUrl = await apiClient.resolveURL("");
+    controller.signal.throwIfAborted();
+
+    return new Promise((resolve, reject) => {
+      let lastStatus = null;
+      const send = (type) => broadcast.postMessage({ type, jobId });
+      const onAbort = () => send("cancel");
+      const stopPauseListener = controller.onPauseChange((paused) =>
+        send(paused ? "pause" : "resume")
+      );
+
+      const finish = () => {
+        broadcast.removeEventListener("message", onMessage);
+        controller.signal.removeEventListener("abort", onAbort);
+        stopPauseListener();
+        ownJobIds.delete(jobId);
+      };
+
+      const onMessage = ({ data }) => {
+        if (data.jobId !== jobId && data.job?.jobId !== jobId) return;
+
+        if (data.type === "part") {
+          onPartComplete?.(data.part);
+        } else if (data.type === "retry") {
+          onRetry?.({
+            ...data.retryInfo,
+            error: deserializeError(data.retryInfo.error),
+          });
+        } else if (data.type === "job") {
+          const { job } = data;
+          if (job.status === "done") {
+            finish();
+            resolve(job.result);
+          } else if (job.status === "error" || job.status === "cancelled") {
+            finish();
+            reject(
+              job.status === "cancelled"
+                ? new AbortError()
+                : deserializeError(job.error)
+            );
+          } else {
+            // Pauses are the caller's own doing, not a step of the upload
+            if (job.status !== lastStatus && job.status !== "paused") {
+              lastStatus = job.status;
+              onStatus?.(job.status);
+            }
+            onProgress?.(job.progress, {
+              loaded: job.loadedBytes,
+              total: job.fileSize,
+            });
+          }
+        }
+      };
+
+      ownJobIds.add(jobId);
+      broadcast.addEventListener("message", onMessage);
+      controller.signal.addEventListener("abort", onAbort, { once: true });
+      postToWorker({
+        type: "start",
+        jobId,
+        file,
+        transfer,
+        paused: controller.paused,
+        config: { ...uploadConfig },
+        apiBaseUrl,
+        accessToken: apiClient.auth?.getAccessToken() ?? null,
+      });
+    });
+  },
+};
@@ -0,0 +1,59 @@
+// Runs checksum work in a Web Worker so hashing large chunks does not block the UI
+import { hashBlob } from "../utils/checksum";
+
+let worker = null;
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+const getWorker = () => {
+  if (!worker && typeof Worker !== "undefined") {
+    worker = new Worker(
+      new URL("../workers/checksumWorker.js", import.meta.url),
+      { type: "module" }
+    );
+
+    worker.addEventListener("message", (e) => {
+      const { id, checksums, error } = e.data;
+      const request = pendingRequests.get(id);
+      if (!request) return;
+
+      pendingRequests.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(checksums);
+      }
+    });
+
+    worker.addEventListener("error", (e) => {
+      console.error("Checksum worker failed:", e.message);
+      pendingRequests.forEach((request) =>
+        request.reject(new Error("Checksum worker failed"))
+      );
+      pendingRequests.clear();
+      worker = null;
+    });
+  }
+
+  return worker;
+};
+
+/**
+ * Hash a blob in a Web Worker, falling back to the current thread when
+ * workers are unavailable
+ * @param {Blob} blob - The data to hash
+ * @param {string} algorithm - "md5" or "sha256"
+ * @returns {Promise<Object>} - { md5, md5Hex, sha256? } with base64 digests
+ */
+export const computeChecksums = (blob, algorithm = "md5") => {
+  const checksumWorker = getWorker();
+  if (!checksumWorker) {
+    return hashBlob(blob, algorithm);
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { resolve, reject });
+    checksumWorker.postMessage({ id, blob, algorithm });
+  });
+};
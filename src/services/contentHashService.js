@@ -0,0 +1,113 @@
+// Hashes whole files in a Web Worker, so reading multi-GB files does not
+// block the UI
+import { createAbortError } from "./uploadController";
+import { hashFileContent } from "../utils/contentHash";
+
+let worker = null;
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+// Hashes of files already read; retries of the same File reuse them
+const hashes = new WeakMap();
+
+const getWorker = () => {
+  if (!worker && typeof Worker !== "undefined") {
+    worker = new Worker(
+      new URL("../workers/contentHashWorker.js", import.meta.url),
+      { type: "module" }
+    );
+
+    worker.addEventListener("message", (e) => {
+      const { id, loaded, hash, error } = e.data;
+      const request = pendingRequests.get(id);
+      if (!request) return;
+
+      if (loaded !== undefined) {
+        request.onProgress?.(loaded);
+        return;
+      }
+
+      pendingRequests.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(hash);
+      }
+    });
+
+    worker.addEventListener("error", (e) => {
+      console.error("Content hash worker failed:", e.message);
+      pendingRequests.forEach((request) =>
+        request.reject(new Error("Content hash worker failed"))
+      );
+      pendingRequests.clear();
+      worker = null;
+    });
+  }
+
+  return worker;
+};
+
+/**
+ * Hash a file in the worker
+ * @param {Worker} hashWorker - The content hash worker
+ * @param {Blob} file - The file to hash
+ * @param {Object} options - As for computeContentHash
+ * @returns {Promise<string>} - Hex SHA-256
+ */
+const hashInWorker = (hashWorker, file, { signal, controller, onProgress }) =>
+  new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    const onAbort = () => {
+      pendingRequests.delete(id);
+      hashWorker.postMessage({ id, type: "cancel" });
+      reject(createAbortError());
+    };
+    const stopPauseListener = controller?.onPauseChange((paused) =>
+      hashWorker.postMessage({ id, type: paused ? "pause" : "resume" })
+    );
+    const settle = (callback) => (value) => {
+      signal?.removeEventListener("abort", onAbort);
+      stopPauseListener?.();
+      callback(value);
+    };
+
+    pendingRequests.set(id, {
+      resolve: settle(resolve),
+      reject: settle(reject),
+      onProgress,
+    });
+    signal?.addEventListener("abort", onAbort, { once: true });
+    hashWorker.postMessage({ id, type: "hash", file });
+    if (controller?.paused) hashWorker.postMessage({ id, type: "pause" });
+  });
+
+/**
+ * Compute the SHA-256 of a whole file, in a Web Worker when available
+ * @param {Blob} file - The file to hash
+ * @param {Object} options - Hashing options (optional)
+ * @param {AbortSignal} options.signal - Stops hashing when aborted
+ * @param {UploadController} options.controller - Holds hashing while the
+ *   upload is paused (optional)
+ * @param {Function} options.onProgress - Called with the bytes hashed so far
+ * @returns {Promise<string>} - Hex SHA-256; rejects with an AbortError if
+ *   aborted
+ */
+export const computeContentHash = async (file, options = {}) => {
+  const { signal, controller, onProgress } = options;
+  if (hashes.has(file)) return hashes.get(file);
+  signal?.throwIfAborted();
+
+  const hashWorker = getWorker();
+  const hash = hashWorker
+    ? await hashInWorker(hashWorker, file, { signal, controller, onProgress })
+    : await hashFileContent(file, {
+        onProgress,
+        isCancelled: () => signal?.aborted,
+        waitUntilResumed: () => controller?.waitUntilResumed(),
+      });
+  if (hash === null) throw createAbortError();
+
+  hashes.set(file, hash);
+  return hash;
+};
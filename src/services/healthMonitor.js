@@ -0,0 +1,186 @@
+// Backend health polling with backoff and browser connectivity events
+import { uploadApi } from "./api";
+import { getRetryDelay } from "../utils/retry";
+
+// Time between checks while the backend is reachable
+const HEALTHY_INTERVAL_MS = 30000;
+
+// Backoff between checks while the backend is unreachable
+const OFFLINE_BACKOFF = { baseDelay: 2000, maxDelay: 60000 };
+
+// A health check slower than this counts as a failure
+const CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Check if a health state means the backend cannot be reached
+ * @param {Object} state - Health monitor state
+ * @returns {boolean} - True if the browser or the backend is offline
+ */
+export const isDisconnected = (state) => state.status === "offline";
+
+/**
+ * Polls the backend's health endpoint and tracks browser connectivity
+ *
+ * State is an immutable snapshot for useSyncExternalStore:
+ * { status, online, latency, lastChecked, error } where status is
+ * "checking", "ready", "s3-not-configured" or "offline". Polling backs off
+ * while the backend is unreachable and pauses while the browser reports it
+ * is offline; coming back online triggers an immediate check.
+ */
+export class HealthMonitor {
+  /**
+   * @param {Object} options - Monitor options (optional)
+   * @param {number} options.interval - Time between checks while healthy in ms
+   * @param {Object} options.backoff - { baseDelay, maxDelay } while unreachable
+   */
+  constructor(options = {}) {
+    this.interval = options.interval ?? HEALTHY_INTERVAL_MS;
+    this.backoff = { ...OFFLINE_BACKOFF, ...options.backoff };
+    this.state = {
+      status: "checking",
+      online: globalThis.navigator?.onLine ?? true,
+      latency: null,
+      lastChecked: null,
+      error: null,
+    };
+    this.failures = 0;
+    this.timer = null;
+    this.checking = null;
+    this.started = false;
+    this.listeners = new Set();
+
+    this.subscribe = this.subscribe.bind(this);
+    this.getState = this.getState.bind(this);
+    this.handleOnline = this.handleOnline.bind(this);
+    this.handleOffline = this.handleOffline.bind(this);
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Listen for health changes
+   * @param {Function} listener - Called after every change
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Start polling and listening for browser connectivity events
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    window.addEventListener("online", this.handleOnline);
+    window.addEventListener("offline", this.handleOffline);
+    if (this.state.online) {
+      this.check();
+    } else {
+      this.handleOffline();
+    }
+  }
+
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    window.removeEventListener("online", this.handleOnline);
+    window.removeEventListener("offline", this.handleOffline);
+  }
+
+  /**
+   * Check the backend now, rescheduling the next poll
+   * Concurrent calls share one request.
+   * @returns {Promise<Object>} - The new state
+   */
+  check() {
+    if (!this.checking) {
+      clearTimeout(this.timer);
+      this.checking = this.runCheck().finally(() => {
+        this.checking = null;
+        this.scheduleNext();
+      });
+    }
+    return this.checking;
+  }
+
+  async runCheck() {
+    const startTime = performance.now();
+
+    try {
+      // The monitor has its own backoff, so a failed check is not retried
+      const response = await uploadApi.checkHealth({
+        retry: false,
+        timeout: CHECK_TIMEOUT_MS,
+      });
+      // The browser went offline while the request was in flight
+      if (!this.state.online) return this.state;
+
+      this.failures = 0;
+      this.setState({
+        status:
+          response.success && response.data.s3Configured
+            ? "ready"
+            : "s3-not-configured",
+        latency: Math.round(performance.now() - startTime),
+        lastChecked: Date.now(),
+        error: null,
+      });
+    } catch (error) {
+      console.error("Backend health check failed:", error);
+      if (!this.state.online) return this.state;
+
+      this.failures++;
+      this.setState({
+        status: "offline",
+        latency: null,
+        lastChecked: Date.now(),
+        error,
+      });
+    }
+    return this.state;
+  }
+
+  scheduleNext() {
+    if (!this.started || !this.state.online) return;
+
+    const delay =
+      this.failures === 0
+        ? this.interval
+        : // Never poll faster than the base delay, even with jitter
+          Math.max(
+            this.backoff.baseDelay,
+            getRetryDelay(this.failures, this.backoff)
+          );
+    this.timer = setTimeout(() => this.check(), delay);
+  }
+
+  handleOnline() {
+    // Stay offline until the backend answers, so uploads resume only once
+    // it is reachable
+    this.failures = 0;
+    this.setState({ online: true });
+    this.check();
+  }
+
+  handleOffline() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.setState({
+      online: false,
+      status: "offline",
+      latency: null,
+      lastChecked: Date.now(),
+    });
+  }
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach((listener) => listener());
+  }
+}
@@ -0,0 +1,71 @@
+// Browser notifications for uploads that finish while the tab is hidden
+
+// localStorage key of the user's opt-in
+const STORAGE_KEY = "uploader:notifications";
+
+/**
+ * Check if the browser supports notifications
+ * @returns {boolean} - True if the Notification API is available
+ */
+export const notificationsSupported = () => "Notification" in globalThis;
+
+/**
+ * Check if the user opted in and the browser allows notifications
+ * @returns {boolean} - True if notifications will be shown
+ */
+export const notificationsEnabled = () =>
+  notificationsSupported() &&
+  Notification.permission === "granted" &&
+  localStorage.getItem(STORAGE_KEY) === "on";
+
+/**
+ * Turn upload notifications on or off
+ * Turning them on asks the browser for permission if needed.
+ * @param {boolean} enabled - Whether to notify
+ * @returns {Promise<boolean>} - True if notifications are now enabled
+ */
+export const setNotificationsEnabled = async (enabled) => {
+  if (!enabled || !notificationsSupported()) {
+    localStorage.removeItem(STORAGE_KEY);
+    return false;
+  }
+
+  const permission =
+    Notification.permission === "default"
+      ? await Notification.requestPermission()
+      : Notification.permission;
+  if (permission !== "granted") {
+    localStorage.removeItem(STORAGE_KEY);
+    return false;
+  }
+
+  localStorage.setItem(STORAGE_KEY, "on");
+  return true;
+};
+
+/**
+ * Notify the user that an upload finished
+ * Nothing is shown while the page is visible, since the queue already
+ * shows the result.
+ * @param {Object} item - Finished queue item
+ */
+export const notifyUploadFinished = (item) => {
+  if (!notificationsEnabled() || document.visibilityState === "visible") {
+    return;
+  }
+
+  const failed = item.status === "error";
+  const notification = new Notification(
+    failed ? "Upload failed" : "Upload complete",
+    {
+      body: failed ? `${item.fileName}: ${item.error}` : item.fileName,
+      icon: "/logo.png",
+      // Retrying the same item replaces its earlier notification
+      tag: `upload-${item.id}`,
+    }
+  );
+  notification.onclick = () => {
+    window.focus();
+    notification.close();
+  };
+};
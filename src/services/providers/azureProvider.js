@@ -0,0 +1,130 @@
+// Azure Blob Storage block upload (Put Block / Put Block List) through a SAS URL
+import { uploadApi } from "../api";
+import { sendXhr } from "../xhr";
+
+/**
+ * Build the block ID of a part
+ * Block IDs must be base64 and all the same length within a blob.
+ * @param {number} partNumber - Part number (1-based)
+ * @returns {string} - Base64 block ID
+ */
+const getBlockId = (partNumber) =>
+  btoa(`block-${String(partNumber).padStart(6, "0")}`);
+
+/**
+ * Add query parameters to the blob's SAS URL
+ * @param {string} blobUrl - Blob URL with SAS token
+ * @param {Object} params - Parameters to add
+ * @returns {string} - URL for the blob operation
+ */
+const getBlobOperationUrl = (blobUrl, params) => {
+  const url = new URL(blobUrl);
+  Object.entries(params).forEach(([name, value]) =>
+    url.searchParams.set(name, value)
+  );
+  return url.toString();
+};
+
+/**
+ * Check if a SAS URL expires within the given margin
+ * URLs without a readable `se` (signed expiry) param are treated as valid.
+ * @param {string} sasUrl - Blob URL with SAS token
+ * @param {number} marginSeconds - Safety margin in seconds (default: 60)
+ * @returns {boolean} - True if the URL is expired or about to expire
+ */
+const isSasUrlExpiringSoon = (sasUrl, marginSeconds = 60) => {
+  try {
+    const expiry = Date.parse(new URL(sasUrl).searchParams.get("se"));
+    return !isNaN(expiry) && expiry - Date.now() <= marginSeconds * 1000;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Azure adapter: the backend signs a SAS URL for the blob; blocks can be
+ * staged in parallel and are committed in part order with Put Block List
+ */
+export const azureProvider = {
+  name: "azure",
+  maxConcurrency: Infinity,
+  verifiesETag: false,
+
+  async initiate(session, file) {
+    return { ...session, contentType: file.type };
+  },
+
+  async uploadPart(session, options) {
+    const { partNumber, chunk, checksums, signal, onProgress } = options;
+    const blockId = getBlockId(partNumber);
+
+    await sendXhr(
+      "PUT",
+      getBlobOperationUrl(session.blobUrl, { comp: "block", blockid: blockId }),
+      chunk,
+      {
+        headers: checksums ? { "Content-MD5": checksums.md5 } : {},
+        signal,
+        onProgress,
+        label: "Block upload",
+      }
+    );
+
+    return { PartNumber: partNumber, BlockId: blockId };
+  },
+
+  async complete(session, parts, checksum, metadata) {
+    const blockList = parts
+      .map((part) => `<Latest>${part.BlockId}</Latest>`)
+      .join("");
+
+    await sendXhr(
+      "PUT",
+      getBlobOperationUrl(session.blobUrl, { comp: "blocklist" }),
+      `<?xml version="1.0" encoding="utf-8"?><BlockList>${blockList}</BlockList>`,
+      {
+        headers: {
+          "Content-Type": "application/xml",
+          "x-ms-blob-content-type": session.contentType,
+        },
+        label: "Block list commit",
+      }
+    );
+
+    return uploadApi.completeMultipartUpload(
+      session.uploadId,
+      parts,
+      checksum,
+      metadata
+    );
+  },
+
+  async abort(session) {
+    // Uncommitted blocks are discarded by Azure after a week, so only the
+    // backend needs to know
+    return uploadApi.abortMultipartUpload(session.uploadId);
+  },
+
+  isExpiring(session) {
+    return isSasUrlExpiringSoon(session.blobUrl);
+  },
+
+  async refresh(session, partNumbers) {
+    const response = await uploadApi.refreshPartUrls(
+      session.uploadId,
+      partNumbers
+    );
+    if (!response.success) {
+      throw new Error("Failed to refresh the blob URL");
+    }
+    session.blobUrl = response.data.blobUrl;
+  },
+
+  getSingleUploadHeaders() {
+    return { "x-ms-blob-type": "BlockBlob" };
+  },
+
+  getChecksumHeaders(checksums) {
+    return { "Content-MD5": checksums.md5 };
+  },
+};
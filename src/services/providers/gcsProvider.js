@@ -0,0 +1,130 @@
+// Google Cloud Storage resumable upload through a backend-created session URI
+import { uploadApi } from "../api";
+import { sendXhr } from "../xhr";
+import { UploadError } from "../../utils/errors";
+
+// GCS answers "308 Resume Incomplete" to every chunk but the last
+const RESUME_INCOMPLETE = 308;
+
+// Sessions whose persisted offset is known to match the parts sent so far.
+// Any other session (fresh, resumed from storage or after a failed chunk) is
+// asked for its offset before the next chunk is sent.
+const syncedSessions = new WeakSet();
+
+/**
+ * Read the number of bytes GCS has persisted from a 308 response
+ * @param {XMLHttpRequest} xhr - The finished request
+ * @returns {number} - Persisted byte count
+ */
+const getPersistedBytes = (xhr) => {
+  const match = /bytes=0-(\d+)/.exec(xhr.getResponseHeader("Range") || "");
+  return match ? Number(match[1]) + 1 : 0;
+};
+
+/**
+ * Ask GCS how much of the upload it has persisted
+ * @param {Object} session - Upload session with sessionUrl
+ * @param {number} totalSize - File size in bytes
+ * @param {AbortSignal} signal - Aborts the request when fired
+ * @returns {Promise<number>} - Persisted byte count
+ */
+const queryPersistedBytes = async (session, totalSize, signal) => {
+  const xhr = await sendXhr("PUT", session.sessionUrl, null, {
+    headers: { "Content-Range": `bytes */${totalSize}` },
+    signal,
+    acceptStatus: (status) =>
+      status === RESUME_INCOMPLETE || (status >= 200 && status < 300),
+    label: "Upload status check",
+  });
+  return xhr.status === RESUME_INCOMPLETE ? getPersistedBytes(xhr) : totalSize;
+};
+
+/**
+ * GCS adapter: the backend opens a resumable session and returns its URI;
+ * chunks must be sent in order and the last chunk finalizes the object
+ */
+export const gcsProvider = {
+  name: "gcs",
+  maxConcurrency: 1,
+  verifiesETag: false,
+
+  async initiate(session) {
+    return session;
+  },
+
+  async uploadPart(session, options) {
+    const { partNumber, chunk, offset, totalSize, signal, onProgress } =
+      options;
+    const end = offset + chunk.size;
+    const part = { PartNumber: partNumber, Size: chunk.size };
+
+    // Skip bytes GCS already has, e.g. from a chunk that failed after
+    // being partly persisted
+    let start = offset;
+    if (!syncedSessions.has(session)) {
+      const persisted = await queryPersistedBytes(session, totalSize, signal);
+      if (persisted >= end) {
+        syncedSessions.add(session);
+        return part;
+      }
+      start = Math.max(offset, persisted);
+    }
+    syncedSessions.delete(session);
+
+    const xhr = await sendXhr(
+      "PUT",
+      session.sessionUrl,
+      chunk.slice(start - offset),
+      {
+        headers: { "Content-Range": `bytes ${start}-${end - 1}/${totalSize}` },
+        signal,
+        onProgress: (loaded) => onProgress?.(start - offset + loaded),
+        acceptStatus: (status) =>
+          status === RESUME_INCOMPLETE || (status >= 200 && status < 300),
+        label: "Chunk upload",
+      }
+    );
+
+    if (xhr.status === RESUME_INCOMPLETE && getPersistedBytes(xhr) < end) {
+      throw new UploadError(
+        `Chunk upload was only partly persisted (${getPersistedBytes(
+          xhr
+        )} of ${end} bytes)`,
+        { code: "IncompleteChunk", retryable: true }
+      );
+    }
+
+    syncedSessions.add(session);
+    return part;
+  },
+
+  async complete(session, parts, checksum, metadata) {
+    return uploadApi.completeMultipartUpload(
+      session.uploadId,
+      parts,
+      checksum,
+      metadata
+    );
+  },
+
+  async abort(session) {
+    try {
+      // GCS answers a cancelled session with 499
+      await sendXhr("DELETE", session.sessionUrl, null, {
+        acceptStatus: (status) => status === 499 || status === 204,
+        label: "Session cancel",
+      });
+    } catch (error) {
+      console.error("Failed to cancel GCS upload session:", error);
+    }
+    return uploadApi.abortMultipartUpload(session.uploadId);
+  },
+
+  getSingleUploadHeaders() {
+    return {};
+  },
+
+  getChecksumHeaders() {
+    return {};
+  },
+};
@@ -0,0 +1,59 @@
+// Storage provider adapters for chunked uploads
+//
+// The backend decides where a file is stored and names the provider in its
+// presign and multipart initiation responses (`provider`, default "s3").
+// Each adapter only talks to the URLs in that response, so it can be pointed
+// at a local mock server by having the backend return localhost URLs. The
+// in-browser mock backend (src/mocks) has one for every adapter; pick it with
+// mockBackend.configure({ provider }).
+//
+// An adapter is an object with:
+//   name             - Provider name as returned by the backend
+//   maxConcurrency   - Max parts in flight; 1 for protocols that need chunks in order
+//   verifiesETag     - Whether the stored object's ETag is an S3-style MD5 to check
+//   initiate(session, file)  - Finish starting the upload on the provider side;
+//                              resolves the session to save for resume
+//   uploadPart(session, { partNumber, chunk, offset, totalSize, checksums,
+//     checksumAlgorithm, signal, onProgress }) - Send one part without retrying;
+//                              resolves the part record passed to complete()
+//   complete(session, parts, checksum, metadata) - Finish the upload;
+//                              resolves the backend's completion response
+//   abort(session)           - Cancel the upload on the provider and backend
+//   isExpiring(session, partNumber) / refresh(session, partNumbers)
+//                            - Optional; detect and replace expiring upload URLs
+//   getSingleUploadHeaders() - Headers for a single-request PUT, or null if the
+//                              provider has no single-request upload
+//   getChecksumHeaders(checksums, algorithm) - Headers that make the provider
+//                              verify a body's checksum
+import { s3Provider } from "./s3Provider";
+import { gcsProvider } from "./gcsProvider";
+import { azureProvider } from "./azureProvider";
+import { tusProvider } from "./tusProvider";
+
+const providers = new Map(
+  [s3Provider, gcsProvider, azureProvider, tusProvider].map((provider) => [
+    provider.name,
+    provider,
+  ])
+);
+
+/**
+ * Get the adapter for a storage provider
+ * @param {string} name - Provider name from the backend (default: "s3")
+ * @returns {Object} - Storage provider adapter
+ */
+export const getStorageProvider = (name = "s3") => {
+  const provider = providers.get(name || "s3");
+  if (!provider) {
+    throw new Error(`Unsupported storage provider: ${name}`);
+  }
+  return provider;
+};
+
+/**
+ * Register an adapter for another storage provider
+ * @param {Object} provider - Storage provider adapter
+ */
+export const registerStorageProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
@@ -0,0 +1,82 @@
+// Amazon S3 multipart upload through presigned part URLs
+import { uploadApi, uploadPartToS3 } from "../api";
+import { getChecksumHeaders } from "../../utils/checksum";
+import { isPresignedUrlExpiringSoon } from "../../utils/s3Utils";
+
+const getPartUrl = (session, partNumber) =>
+  session.partUrls.find((partUrl) => partUrl.partNumber === partNumber)
+    ?.presignedUrl;
+
+/**
+ * S3 adapter: the backend creates the multipart upload and signs a URL per
+ * part; parts can be sent in parallel and are completed by the backend
+ */
+export const s3Provider = {
+  name: "s3",
+  maxConcurrency: Infinity,
+  verifiesETag: true,
+
+  async initiate(session) {
+    return session;
+  },
+
+  async uploadPart(session, options) {
+    const { partNumber, chunk, checksums, checksumAlgorithm } = options;
+    const etag = await uploadPartToS3(getPartUrl(session, partNumber), chunk, {
+      retry: { maxAttempts: 1 },
+      signal: options.signal,
+      headers: checksums
+        ? getChecksumHeaders(checksums, checksumAlgorithm)
+        : {},
+      onProgress: options.onProgress,
+    });
+
+    const part = { PartNumber: partNumber, ETag: etag };
+    if (checksums?.sha256) {
+      part.ChecksumSHA256 = checksums.sha256;
+    }
+    return part;
+  },
+
+  async complete(session, parts, checksum, metadata) {
+    return uploadApi.completeMultipartUpload(
+      session.uploadId,
+      parts,
+      checksum,
+      metadata
+    );
+  },
+
+  async abort(session) {
+    return uploadApi.abortMultipartUpload(session.uploadId);
+  },
+
+  isExpiring(session, partNumber) {
+    return isPresignedUrlExpiringSoon(getPartUrl(session, partNumber));
+  },
+
+  async refresh(session, partNumbers) {
+    const response = await uploadApi.refreshPartUrls(
+      session.uploadId,
+      partNumbers
+    );
+    if (!response.success) {
+      throw new Error("Failed to refresh part URLs");
+    }
+
+    const freshUrls = new Map(
+      response.data.partUrls.map((partUrl) => [partUrl.partNumber, partUrl])
+    );
+    session.partUrls = session.partUrls.map(
+      (partUrl) => freshUrls.get(partUrl.partNumber) || partUrl
+    );
+  },
+
+  getSingleUploadHeaders() {
+    return {};
+  },
+
+  getChecksumHeaders(checksums, algorithm) {
+    return getChecksumHeaders(checksums, algorithm);
+  },
+};
@@ -0,0 +1,143 @@
+// tus 1.0 resumable upload (https://tus.io/protocols/resumable-upload)
+import { uploadApi } from "../api";
+import { sendXhr } from "../xhr";
+import { UploadError } from "../../utils/errors";
+
+const TUS_HEADERS = { "Tus-Resumable": "1.0.0" };
+
+// Uploads whose server offset is known to match the parts sent so far; any
+// other upload is asked for its offset before the next chunk is sent
+const syncedSessions = new WeakSet();
+
+/**
+ * Encode a metadata value as base64 (tus requires it; btoa needs Latin-1)
+ * @param {string} value - Metadata value
+ * @returns {string} - Base64 value
+ */
+const encodeMetadataValue = (value) =>
+  btoa(String.fromCharCode(...new TextEncoder().encode(value)));
+
+const getUploadOffset = (xhr) => Number(xhr.getResponseHeader("Upload-Offset"));
+
+/**
+ * tus adapter: the backend returns a tus creation endpoint (or an upload URL
+ * it already created); chunks are PATCHed in order at the server's offset
+ */
+export const tusProvider = {
+  name: "tus",
+  maxConcurrency: 1,
+  verifiesETag: false,
+
+  async initiate(session, file) {
+    if (session.uploadUrl) {
+      return session;
+    }
+
+    const metadata = {
+      filename: file.name,
+      filetype: file.type,
+      uploadId: session.uploadId,
+    };
+    const xhr = await sendXhr("POST", session.endpoint, null, {
+      headers: {
+        ...TUS_HEADERS,
+        "Upload-Length": String(file.size),
+        "Upload-Metadata": Object.entries(metadata)
+          .map(([key, value]) => `${key} ${encodeMetadataValue(value)}`)
+          .join(","),
+      },
+      label: "Upload creation",
+    });
+
+    const location = xhr.getResponseHeader("Location");
+    if (!location) {
+      throw new Error("No Location received from the tus server");
+    }
+    return {
+      ...session,
+      uploadUrl: new URL(location, session.endpoint).toString(),
+    };
+  },
+
+  async uploadPart(session, options) {
+    const { partNumber, chunk, offset, signal, onProgress } = options;
+    const end = offset + chunk.size;
+    const part = { PartNumber: partNumber, Size: chunk.size };
+
+    let start = offset;
+    if (!syncedSessions.has(session)) {
+      const head = await sendXhr("HEAD", session.uploadUrl, null, {
+        headers: TUS_HEADERS,
+        signal,
+        label: "Upload status check",
+      });
+      const serverOffset = getUploadOffset(head);
+      if (serverOffset >= end) {
+        syncedSessions.add(session);
+        return part;
+      }
+      start = Math.max(offset, serverOffset);
+    }
+    syncedSessions.delete(session);
+
+    const xhr = await sendXhr(
+      "PATCH",
+      session.uploadUrl,
+      chunk.slice(start - offset),
+      {
+        headers: {
+          ...TUS_HEADERS,
+          "Upload-Offset": String(start),
+          "Content-Type": "application/offset+octet-stream",
+        },
+        signal,
+        onProgress: (loaded) => onProgress?.(start - offset + loaded),
+        label: "Chunk upload",
+      }
+    );
+
+    if (getUploadOffset(xhr) < end) {
+      throw new UploadError(
+        `Chunk upload was only partly stored (${getUploadOffset(
+          xhr
+        )} of ${end} bytes)`,
+        { code: "IncompleteChunk", retryable: true }
+      );
+    }
+
+    syncedSessions.add(session);
+    return part;
+  },
+
+  async complete(session, parts, checksum, metadata) {
+    return uploadApi.completeMultipartUpload(
+      session.uploadId,
+      parts,
+      checksum,
+      metadata
+    );
+  },
+
+  async abort(session) {
+    if (session.uploadUrl) {
+      try {
+        // Termination extension; servers without it answer 4xx
+        await sendXhr("DELETE", session.uploadUrl, null, {
+          headers: TUS_HEADERS,
+          label: "Upload termination",
+        });
+      } catch (error) {
+        console.error("Failed to terminate tus upload:", error);
+      }
+    }
+    return uploadApi.abortMultipartUpload(session.uploadId);
+  },
+
+  getSingleUploadHeaders() {
+    return null;
+  },
+
+  getChecksumHeaders() {
+    return {};
+  },
+};
@@ -0,0 +1,342 @@
+// Optional in-browser compression of videos before upload, with WebCodecs
+import { createAbortError } from "./uploadController";
+import { UploadError } from "../utils/errors";
+
+/**
+ * Encoding presets
+ * `shortSide` caps the smaller dimension (1080 for 1920x1080 or 1080x1920);
+ * videos are never scaled up. Bitrates are in bits per second.
+ */
+export const TRANSCODE_PRESETS = {
+  "1080p": {
+    label: "1080p H.264 (MP4)",
+    shortSide: 1080,
+    container: "mp4",
+    videoCodec: "avc",
+    videoBitrate: 8_000_000,
+    audioCodec: "aac",
+    audioBitrate: 128_000,
+  },
+  "720p": {
+    label: "720p H.264 (MP4)",
+    shortSide: 720,
+    container: "mp4",
+    videoCodec: "avc",
+    videoBitrate: 4_000_000,
+    audioCodec: "aac",
+    audioBitrate: 128_000,
+  },
+  "480p": {
+    label: "480p H.264 (MP4)",
+    shortSide: 480,
+    container: "mp4",
+    videoCodec: "avc",
+    videoBitrate: 1_500_000,
+    audioCodec: "aac",
+    audioBitrate: 96_000,
+  },
+  "1080p-webm": {
+    label: "1080p VP9 (WebM)",
+    shortSide: 1080,
+    container: "webm",
+    videoCodec: "vp9",
+    videoBitrate: 5_000_000,
+    audioCodec: "opus",
+    audioBitrate: 128_000,
+  },
+};
+
+// Muxing overhead added to the bitrate-based size estimate
+const CONTAINER_OVERHEAD = 1.02;
+
+// Folder in the origin private file system holding encoded files until
+// they are uploaded, so long videos do not have to fit in memory
+const OUTPUT_DIRECTORY = "uploader-transcodes";
+
+// Encoded files older than this are left over from closed pages
+const STALE_OUTPUT_AGE_MS = 24 * 60 * 60 * 1000;
+
+let staleOutputsRemoved = false;
+
+/**
+ * Check if the browser can encode video
+ * @returns {boolean} - True if WebCodecs is available
+ */
+export const isTranscodingSupported = () =>
+  typeof VideoEncoder !== "undefined" && typeof VideoFrame !== "undefined";
+
+const toEven = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * Output dimensions and video bitrate of a preset for a source video
+ * The bitrate is scaled down with the pixel count for sources smaller than
+ * the preset.
+ * @param {Object} preset - Entry of TRANSCODE_PRESETS
+ * @param {number} width - Source display width
+ * @param {number} height - Source display height
+ * @returns {Object} - { width, height, videoBitrate }
+ */
+const getOutputSettings = (preset, width, height) => {
+  const scale = Math.min(1, preset.shortSide / Math.min(width, height));
+  const outputWidth = toEven(width * scale);
+  const outputHeight = toEven(height * scale);
+  const presetPixels =
+    preset.shortSide * Math.round((preset.shortSide * 16) / 9);
+
+  return {
+    width: outputWidth,
+    height: outputHeight,
+    videoBitrate: Math.round(
+      preset.videoBitrate *
+        Math.min(1, (outputWidth * outputHeight) / presetPixels)
+    ),
+  };
+};
+
+/**
+ * Estimate the size of a video after encoding with a preset
+ * @param {Object} preset - Entry of TRANSCODE_PRESETS
+ * @param {Object} metadata - Video metadata with duration, width and height
+ * @returns {number|null} - Estimated bytes, or null without the metadata
+ */
+export const estimateTranscodedSize = (preset, metadata) => {
+  if (!metadata?.duration || !metadata.width || !metadata.height) return null;
+
+  const { videoBitrate } = getOutputSettings(
+    preset,
+    metadata.width,
+    metadata.height
+  );
+  return Math.round(
+    (metadata.duration *
+      (videoBitrate + preset.audioBitrate) *
+      CONTAINER_OVERHEAD) /
+      8
+  );
+};
+
+/**
+ * Delete encoded files that pages closed mid-upload left behind
+ * @param {FileSystemDirectoryHandle} directory - Output folder
+ */
+const removeStaleOutputs = async (directory) => {
+  staleOutputsRemoved = true;
+  try {
+    for await (const [name, handle] of directory.entries()) {
+      const file = await handle.getFile();
+      if (Date.now() - file.lastModified > STALE_OUTPUT_AGE_MS) {
+        await directory.removeEntry(name);
+      }
+    }
+  } catch (error) {
+    console.warn("Failed to remove old encoded files:", error);
+  }
+};
+
+/**
+ * Open where the encoded file is written: a file in the origin private
+ * file system where it can be written from the page, or else memory
+ * @param {Object} mediabunny - The mediabunny module
+ * @param {string} extension - File extension, with the dot
+ * @returns {Promise<Object>} - { target, streaming, getFile(), release() }
+ */
+const openOutput = async (mediabunny, extension) => {
+  const { BufferTarget, StreamTarget } = mediabunny;
+
+  if (navigator.storage?.getDirectory) {
+    let directory = null;
+    const name = `${crypto.randomUUID()}${extension}`;
+    try {
+      const root = await navigator.storage.getDirectory();
+      directory = await root.getDirectoryHandle(OUTPUT_DIRECTORY, {
+        create: true,
+      });
+      if (!staleOutputsRemoved) await removeStaleOutputs(directory);
+
+      const handle = await directory.getFileHandle(name, { create: true });
+      const writable = await handle.createWritable();
+      return {
+        target: new StreamTarget(writable, { chunked: true }),
+        streaming: true,
+        getFile: () => handle.getFile(),
+        release: () =>
+          directory.removeEntry(name).catch((error) => {
+            console.warn("Failed to remove encoded file:", error);
+          }),
+      };
+    } catch (error) {
+      // Safari can only write these files from a worker
+      console.warn("Encoding to memory instead of a file:", error);
+      directory?.removeEntry(name).catch(() => {});
+    }
+  }
+
+  const target = new BufferTarget();
+  return {
+    target,
+    streaming: false,
+    getFile: async () => new Blob([target.buffer]),
+    release: async () => {},
+  };
+};
+
+/**
+ * Re-encode a video with a preset
+ * mediabunny is loaded on first use. Pausing the controller suspends the
+ * encoder; cancelling it stops the encode with an AbortError.
+ * @param {File} file - The source video
+ * @param {Object} preset - Entry of TRANSCODE_PRESETS
+ * @param {Object} options - Encode options (optional)
+ * @param {UploadController} options.controller - Pauses or cancels the encode
+ * @param {Function} options.onProgress - Called with the percent encoded,
+ *   each time it changes
+ * @returns {Promise<Object>} - { file, width, height, release }: the encoded
+ *   File named after the source, its dimensions, and release() to delete it
+ *   once it is no longer needed
+ */
+export const transcodeVideo = async (file, preset, options = {}) => {
+  const { controller, onProgress } = options;
+  const mediabunny = await import("mediabunny");
+  const {
+    ALL_FORMATS,
+    BlobSource,
+    Conversion,
+    ConversionCanceledError,
+    Input,
+    Mp4OutputFormat,
+    Output,
+    Quality,
+    WebMOutputFormat,
+    canEncodeAudio,
+    canEncodeVideo,
+  } = mediabunny;
+
+  const input = new Input({
+    source: new BlobSource(file),
+    formats: ALL_FORMATS,
+  });
+  const videoTrack = await input.getPrimaryVideoTrack();
+  if (!videoTrack) {
+    throw new UploadError(`"${file.name}" has no video track to encode`, {
+      code: "TranscodeFailed",
+    });
+  }
+
+  const { width, height, videoBitrate } = getOutputSettings(
+    preset,
+    videoTrack.displayWidth,
+    videoTrack.displayHeight
+  );
+  const [videoSupported, audioSupported] = await Promise.all([
+    canEncodeVideo(preset.videoCodec, { width, height, bitrate: videoBitrate }),
+    canEncodeAudio(preset.audioCodec, { bitrate: preset.audioBitrate }),
+  ]);
+  if (!videoSupported || !audioSupported) {
+    throw new UploadError(
+      `This browser cannot encode ${preset.videoCodec}/${preset.audioCodec}`,
+      { code: "TranscodeUnsupported" }
+    );
+  }
+
+  const format =
+    preset.container === "webm"
+      ? new WebMOutputFormat()
+      : new Mp4OutputFormat();
+  const output = await openOutput(mediabunny, format.fileExtension);
+  const outputFormat =
+    preset.container === "webm"
+      ? format
+      : // Moving the index to the front needs the whole file in memory
+        new Mp4OutputFormat({
+          fastStart: output.streaming ? false : "in-memory",
+        });
+
+  let succeeded = false;
+  const stopListening = [];
+  try {
+    const conversion = await Conversion.init({
+      input,
+      output: new Output({ format: outputFormat, target: output.target }),
+      tracks: "primary",
+      video: {
+        width,
+        height,
+        fit: "fill",
+        codec: preset.videoCodec,
+        quality: new Quality({ bitrate: videoBitrate }),
+        forceTranscode: true,
+      },
+      audio: {
+        codec: preset.audioCodec,
+        quality: new Quality({ bitrate: preset.audioBitrate }),
+      },
+    });
+    if (!conversion.isValid) {
+      throw new UploadError(
+        `"${file.name}" cannot be encoded: ${conversion.discardedTracks
+          .map(({ track, reason }) => `${track.type} track ${reason}`)
+          .join(", ")}`,
+        { code: "TranscodeFailed" }
+      );
+    }
+
+    let lastPercent = -1;
+    conversion.onProgress = (progress) => {
+      const percent = Math.floor(progress * 100);
+      if (percent !== lastPercent) {
+        lastPercent = percent;
+        onProgress?.(percent);
+      }
+    };
+
+    if (controller) {
+      const onAbort = () => conversion.cancel();
+      controller.signal.addEventListener("abort", onAbort, { once: true });
+      stopListening.push(() =>
+        controller.signal.removeEventListener("abort", onAbort)
+      );
+    }
+
+    // A pause suspends execute(), which is then called again on resume
+    while (conversion.state !== "done") {
+      controller?.signal.throwIfAborted();
+      await controller?.waitUntilResumed();
+
+      const pause = new AbortController();
+      const stopPauseListener = controller?.onPauseChange((paused) => {
+        if (paused) pause.abort();
+      });
+      try {
+        await conversion.execute({ pauseSignal: pause.signal });
+      } finally {
+        stopPauseListener?.();
+      }
+    }
+
+    const encoded = await output.getFile();
+    succeeded = true;
+    return {
+      file: new File(
+        [encoded],
+        file.name.replace(/(\.[^.]*)?$/, format.fileExtension),
+        { type: format.mimeType, lastModified: file.lastModified }
+      ),
+      width,
+      height,
+      release: output.release,
+    };
+  } catch (error) {
+    if (error instanceof ConversionCanceledError || controller?.cancelled) {
+      throw createAbortError();
+    }
+    if (error instanceof UploadError) throw error;
+    throw new UploadError(`Failed to encode "${file.name}": ${error.message}`, {
+      code: "TranscodeFailed",
+      cause: error,
+    });
+  } finally {
+    stopListening.forEach((stop) => stop());
+    input.dispose?.();
+    if (!succeeded) output.release();
+  }
+};
@@ -0,0 +1,115 @@
+// Cancel and pause/resume control for an in-flight upload
+import { AbortError } from "../utils/errors";
+
+/**
+ * Create the error used when an upload is cancelled
+ * @returns {AbortError} - Error named "AbortError", like fetch uses
+ */
+export const createAbortError = () => new AbortError();
+
+/**
+ * Check if an error was caused by a user cancel
+ * @param {Error} error - The error to check
+ * @returns {boolean} - True if the upload was cancelled
+ */
+export const isAbortError = (error) => error?.name === "AbortError";
+
+/**
+ * Controls a single upload
+ *
+ * Cancel aborts every in-flight request through `signal`. Pause only stops
+ * new parts from being scheduled; parts already in flight are allowed to
+ * finish so no bytes are thrown away. Requests that cannot carry on where
+ * they stopped are aborted on pause instead (see abortOnPause).
+ */
+export class UploadController {
+  constructor() {
+    this.abortController = new AbortController();
+    this.paused = false;
+    this.resumeWaiters = [];
+    this.pauseListeners = new Set();
+  }
+
+  /**
+   * AbortSignal that fires when the upload is cancelled
+   */
+  get signal() {
+    return this.abortController.signal;
+  }
+
+  get cancelled() {
+    return this.signal.aborted;
+  }
+
+  pause() {
+    if (!this.cancelled && !this.paused) {
+      this.paused = true;
+      this.pauseListeners.forEach((listener) => listener(true));
+    }
+  }
+
+  resume() {
+    if (this.paused) {
+      this.paused = false;
+      this.pauseListeners.forEach((listener) => listener(false));
+    }
+    this.flushWaiters();
+  }
+
+  /**
+   * Listen for pause and resume, e.g. to forward them to a worker
+   * @param {Function} listener - Called with true on pause, false on resume
+   * @returns {Function} - Unsubscribe function
+   */
+  onPauseChange(listener) {
+    this.pauseListeners.add(listener);
+    return () => this.pauseListeners.delete(listener);
+  }
+
+  /**
+   * Run a request that is aborted when the upload is paused as well as when
+   * it is cancelled; retry it with withRetry's controller option to send
+   * it again once resumed
+   * @param {Function} operation - Receives the AbortSignal for the request
+   * @returns {Promise<any>} - Result of the operation
+   */
+  async abortOnPause(operation) {
+    const abortController = new AbortController();
+    const abort = () => abortController.abort(createAbortError());
+    const unsubscribe = this.onPauseChange((paused) => paused && abort());
+    this.signal.addEventListener("abort", abort, { once: true });
+    if (this.paused || this.cancelled) abort();
+
+    try {
+      return await operation(abortController.signal);
+    } finally {
+      unsubscribe();
+      this.signal.removeEventListener("abort", abort);
+    }
+  }
+
+  cancel() {
+    this.paused = false;
+    this.abortController.abort(createAbortError());
+    this.flushWaiters();
+  }
+
+  /**
+   * Wait until the upload is not paused
+   * @returns {Promise<void>} - Rejects with an AbortError if cancelled
+   */
+  async waitUntilResumed() {
+    if (this.paused) {
+      await new Promise((resolve) => this.resumeWaiters.push(resolve));
+    }
+    if (this.cancelled) {
+      throw createAbortError();
+    }
+  }
+
+  flushWaiters() {
+    const waiters = this.resumeWaiters;
+    this.resumeWaiters = [];
+    waiters.forEach((resolve) => resolve());
+  }
+}
@@ -0,0 +1,920 @@
+// Queue that uploads many files with a global concurrency limit
+import {
+  UploadController,
+  createAbortError,
+  isAbortError,
+} from "./uploadController";
+import { runUpload, getUploadErrorMessage } from "./uploadTask";
+import { backgroundUploads } from "./backgroundUploads";
+import { validationPolicyStore } from "./validationPolicy";
+import {
+  TRANSCODE_PRESETS,
+  estimateTranscodedSize,
+  isTranscodingSupported,
+  transcodeVideo,
+} from "./transcoder";
+import { validateFile } from "../utils/fileValidation";
+import { extractVideoMetadata } from "../utils/videoMetadata";
+import { readContainerInfo } from "../utils/containerInfo";
+import { TransferMeter } from "../utils/transferMeter";
+import { uploadConfig } from "../config/uploadConfig";
+
+// Minimum time between progress updates of one item, to limit re-renders
+const PROGRESS_INTERVAL_MS = 250;
+
+// Files checked at once; validation reads each file and videos are decoded
+// for their preview, so adding a large folder must not start them all
+const VALIDATION_CONCURRENCY = 3;
+
+// Item statuses that mean the file is no longer being worked on
+const FINISHED_STATUSES = ["done", "error", "cancelled"];
+
+// Item statuses before an upload has started
+const WAITING_STATUSES = ["validating", "scheduled", "queued"];
+
+// Longest timer for a scheduled start; the schedule is re-checked after it,
+// so a computer that slept past the start time catches up
+const MAX_SCHEDULE_TIMER_MS = 60 * 60 * 1000;
+
+// Lifecycle events reported to embedders, see UploadQueue#on
+const UPLOAD_EVENTS = ["started", "progress", "completed", "failed"];
+
+let nextItemId = 1;
+
+/**
+ * Check if a queue item has finished, successfully or not
+ * @param {Object} item - Queue item
+ * @returns {boolean} - True if the item is done, failed or cancelled
+ */
+export const isItemFinished = (item) => FINISHED_STATUSES.includes(item.status);
+
+/**
+ * Check if a queue item is currently uploading (or paused mid-upload)
+ * @param {Object} item - Queue item
+ * @returns {boolean} - True if the item has an upload in progress
+ */
+export const isItemActive = (item) =>
+  !WAITING_STATUSES.includes(item.status) && !isItemFinished(item);
+
+// Steps that stop while their controller is paused; the rest (requesting
+// URLs, completing, confirming...) are short requests that run to the end
+const PAUSABLE_STATUSES = [
+  "encoding",
+  "checking-duplicates",
+  "uploading-parts",
+  "uploading",
+];
+
+/**
+ * Check if a queue item is at a step that can be paused
+ * @param {Object} item - Queue item
+ * @returns {boolean} - True if pausing would stop work on the item
+ */
+export const isItemPausable = (item) => PAUSABLE_STATUSES.includes(item.status);
+
+/**
+ * Compute byte-level progress, speed and ETA across all items in the queue
+ * @param {Array} items - Queue items
+ * @returns {Object} - { percent, loaded, total, speed, eta }
+ */
+export const getAggregateProgress = (items) => {
+  const batch = items.filter((item) => item.status !== "cancelled");
+  const total = batch.reduce((sum, item) => sum + item.fileSize, 0);
+  const loaded = batch.reduce((sum, item) => sum + item.loadedBytes, 0);
+  const speed = batch.reduce((sum, item) => sum + item.speed, 0);
+
+  return {
+    percent: total === 0 ? 0 : Math.round((loaded / total) * 100),
+    loaded,
+    total,
+    speed,
+    eta: speed > 0 ? (total - loaded) / speed : null,
+  };
+};
+
+/**
+ * Upload queue with one entry per file
+ *
+ * Items are immutable snapshots: every change replaces the item and the
+ * items array, so subscribers (e.g. React's useSyncExternalStore) can
+ * compare by reference.
+ */
+export class UploadQueue {
+  /**
+   * @param {Object} options - Queue options (optional)
+   * @param {number} options.concurrency - Max number of files uploading at once
+   * @param {string} options.userId - ID of the user who owns new uploads
+   * @param {Function} options.confirmResume - Passed through to runUpload
+   * @param {string} options.transcodePreset - Key of TRANSCODE_PRESETS to
+   *   compress videos with before upload, or null to upload originals
+   * @param {Function} options.onDuplicate - Decides what to do with a file
+   *   that was uploaded before: called with the earlier upload and the
+   *   queue item, resolves "existing", "reference" or "upload" (see
+   *   runUpload). Without it the item waits for resolveDuplicate().
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency ?? uploadConfig.queueConcurrency;
+    this.confirmResume = options.confirmResume;
+    this.onDuplicate = options.onDuplicate ?? null;
+    this.userId = options.userId ?? null;
+    this.transcodePreset =
+      options.transcodePreset ?? uploadConfig.transcodePreset;
+    this.connected = true;
+    this.idle = false;
+    this.scheduleTimer = null;
+    this.items = [];
+    this.files = new Map();
+    this.previews = new Map();
+    this.transcoded = new Map();
+    this.controllers = new Map();
+    this.meters = new Map();
+    this.lastProgressTimes = new Map();
+    this.connectionPausedIds = new Set();
+    this.idlePausedIds = new Set();
+    this.pausedStatuses = new Map();
+    this.validatingIds = new Set();
+    this.duplicateResolvers = new Map();
+    this.listeners = new Set();
+    this.eventListeners = new Map(
+      UPLOAD_EVENTS.map((type) => [type, new Set()])
+    );
+
+    this.subscribe = this.subscribe.bind(this);
+    this.getItems = this.getItems.bind(this);
+  }
+
+  getItems() {
+    return this.items;
+  }
+
+  /**
+   * Listen for queue changes
+   * @param {Function} listener - Called after every change
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Listen for an upload lifecycle event
+   * Listeners receive the item snapshot after the change; "failed" is also
+   * reported for files the validation policy rejects (without "started"),
+   * but not for cancelled uploads.
+   * @param {string} type - "started", "progress", "completed" or "failed"
+   * @param {Function} listener - Called with the queue item
+   * @returns {Function} - Unsubscribe function
+   */
+  on(type, listener) {
+    const listeners = this.eventListeners.get(type);
+    if (!listeners) {
+      throw new Error(`Unknown upload event: ${type}`);
+    }
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  onUploadStarted(listener) {
+    return this.on("started", listener);
+  }
+
+  onUploadProgress(listener) {
+    return this.on("progress", listener);
+  }
+
+  onUploadCompleted(listener) {
+    return this.on("completed", listener);
+  }
+
+  onUploadFailed(listener) {
+    return this.on("failed", listener);
+  }
+
+  /**
+   * Report a lifecycle event for an item
+   * A failing listener is logged so it cannot break the upload.
+   * @param {string} type - Event type
+   * @param {number} id - Queue item ID
+   */
+  emit(type, id) {
+    const item = this.findItem(id);
+    if (!item) return;
+
+    this.eventListeners.get(type).forEach((listener) => {
+      try {
+        listener(item);
+      } catch (error) {
+        console.error(`Upload "${type}" listener failed:`, error);
+      }
+    });
+  }
+
+  setUserId(userId) {
+    this.userId = userId;
+  }
+
+  /**
+   * Choose how videos are compressed before upload; applies to items that
+   * have not started yet
+   * @param {string|null} preset - Key of TRANSCODE_PRESETS, or null for none
+   */
+  setTranscodePreset(preset) {
+    this.transcodePreset = TRANSCODE_PRESETS[preset] ? preset : null;
+    this.notify();
+  }
+
+  setConcurrency(concurrency) {
+    this.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+    this.processQueue();
+  }
+
+  /**
+   * Add files to the queue; each file is checked against the validation
+   * policy before it is queued, and invalid files become failed items
+   * @param {Array<File|Object>} files - Files to upload, or
+   *   { file, relativePath } for files from a folder (see folderFiles)
+   * @param {Object} schedule - When the files may upload (optional)
+   * @param {number} schedule.startAt - Timestamp before which they wait
+   * @param {boolean} schedule.whenIdle - Upload only while the tab is idle
+   *   (see setIdle); they are paused while the user is active
+   * @returns {Array<Object>} - The new queue items
+   */
+  add(files, schedule = {}) {
+    const { startAt = null, whenIdle = false } = schedule;
+    const newItems = Array.from(files).map((entry) => {
+      const { file, relativePath = null } =
+        entry instanceof Blob ? { file: entry } : entry;
+      const id = nextItemId++;
+      this.files.set(id, file);
+
+      return {
+        id,
+        fileName: file.name,
+        fileSize: file.size,
+        originalSize: null,
+        encodeProgress: null,
+        hashProgress: null,
+        duplicate: null,
+        duplicateOf: null,
+        relativePath,
+        startAt,
+        whenIdle,
+        status: "validating",
+        progress: 0,
+        loadedBytes: 0,
+        speed: 0,
+        eta: null,
+        uploadId: null,
+        downloadUrl: null,
+        error: null,
+        retryInfo: null,
+        pauseReason: null,
+        metadata: null,
+        thumbnails: null,
+      };
+    });
+
+    this.items = [...this.items, ...newItems];
+    this.notify();
+    this.processValidation();
+    return newItems;
+  }
+
+  /**
+   * Put a failed or cancelled item back in the queue
+   * @param {number} id - Queue item ID
+   */
+  retry(id) {
+    const item = this.findItem(id);
+    if (!item || !["error", "cancelled"].includes(item.status)) return;
+
+    this.updateItem(id, {
+      status: "validating",
+      progress: 0,
+      loadedBytes: 0,
+      speed: 0,
+      eta: null,
+      uploadId: null,
+      downloadUrl: null,
+      error: null,
+      retryInfo: null,
+      encodeProgress: this.transcoded.has(id) ? 100 : null,
+      hashProgress: null,
+      duplicate: null,
+      duplicateOf: null,
+    });
+    this.processValidation();
+  }
+
+  /**
+   * Start checking waiting items, up to the validation concurrency limit
+   */
+  processValidation() {
+    this.items
+      .filter(
+        (item) =>
+          item.status === "validating" && !this.validatingIds.has(item.id)
+      )
+      .slice(0, Math.max(0, VALIDATION_CONCURRENCY - this.validatingIds.size))
+      .forEach((item) => {
+        this.validatingIds.add(item.id);
+        this.validateItem(item.id)
+          .catch((error) => {
+            console.error(`Failed to check ${item.fileName}:`, error);
+            if (this.findItem(item.id)?.status !== "validating") return;
+            this.updateItem(item.id, {
+              status: "error",
+              error: getUploadErrorMessage(error),
+            });
+            this.emit("failed", item.id);
+          })
+          .finally(() => {
+            this.validatingIds.delete(item.id);
+            this.processValidation();
+          });
+      });
+  }
+
+  /**
+   * Check an item's file against the validation policy and read its video
+   * metadata and thumbnails, then queue it
+   * @param {number} id - Queue item ID
+   */
+  async validateItem(id) {
+    const file = this.files.get(id);
+    const violation = await validateFile(
+      file,
+      validationPolicyStore.getPolicy()
+    );
+    if (!violation && file.type.startsWith("video/")) {
+      await this.loadPreview(id, file);
+    }
+
+    // The item may have been cancelled or removed while it was checked
+    if (this.findItem(id)?.status !== "validating") return;
+
+    if (violation) {
+      this.updateItem(id, { status: "error", error: violation.message });
+      this.emit("failed", id);
+    } else {
+      this.updateItem(id, {
+        status: this.isDue(this.findItem(id)) ? "queued" : "scheduled",
+      });
+    }
+    this.updateScheduleTimer();
+    this.processQueue();
+  }
+
+  /**
+   * Check if an item's schedule allows it to upload now
+   * @param {Object} item - Queue item
+   * @returns {boolean} - True if its start time has passed and, for items
+   *   that wait for an idle tab, the tab is idle
+   */
+  isDue(item) {
+    return (
+      (!item.startAt || item.startAt <= Date.now()) &&
+      (!item.whenIdle || this.idle)
+    );
+  }
+
+  /**
+   * Queue the scheduled items that are due
+   */
+  releaseScheduled() {
+    this.items
+      .filter((item) => item.status === "scheduled" && this.isDue(item))
+      .forEach((item) => this.updateItem(item.id, { status: "queued" }));
+    this.updateScheduleTimer();
+    this.processQueue();
+  }
+
+  /**
+   * Set a timer for the earliest scheduled start time
+   */
+  updateScheduleTimer() {
+    clearTimeout(this.scheduleTimer);
+    this.scheduleTimer = null;
+
+    const startTimes = this.items
+      .filter((item) => item.status === "scheduled" && item.startAt)
+      .map((item) => item.startAt);
+    if (startTimes.length === 0) return;
+
+    this.scheduleTimer = setTimeout(
+      () => this.releaseScheduled(),
+      Math.min(
+        MAX_SCHEDULE_TIMER_MS,
+        Math.max(0, Math.min(...startTimes) - Date.now())
+      )
+    );
+  }
+
+  /**
+   * Start a scheduled item without waiting for its time or an idle tab
+   * @param {number} id - Queue item ID
+   */
+  startNow(id) {
+    const item = this.findItem(id);
+    if (!item) return;
+
+    this.updateItem(id, { startAt: null, whenIdle: false });
+    if (item.status === "scheduled") {
+      this.updateItem(id, { status: "queued" });
+    } else if (this.idlePausedIds.has(id)) {
+      this.resume(id);
+    }
+    this.updateScheduleTimer();
+    this.processQueue();
+  }
+
+  /**
+   * Read a video's metadata and thumbnails for its preview card
+   * Runs once per item; retries reuse the first result.
+   * @param {number} id - Queue item ID
+   * @param {File} file - The video file
+   */
+  async loadPreview(id, file) {
+    if (this.previews.has(id)) return;
+
+    const preview = await extractVideoMetadata(file);
+    if (!preview || !this.files.has(id)) return;
+
+    const thumbnails = {
+      poster: preview.poster && URL.createObjectURL(preview.poster),
+      scrubs: preview.scrubs.map((scrub) => URL.createObjectURL(scrub)),
+    };
+    this.previews.set(id, { ...preview, thumbnails });
+    this.updateItem(id, { metadata: preview.metadata, thumbnails });
+  }
+
+  /**
+   * Free the thumbnail object URLs of an item
+   * @param {number} id - Queue item ID
+   */
+  releasePreview(id) {
+    const thumbnails = this.previews.get(id)?.thumbnails;
+    if (!thumbnails) return;
+
+    [thumbnails.poster, ...thumbnails.scrubs]
+      .filter(Boolean)
+      .forEach((url) => URL.revokeObjectURL(url));
+    this.previews.delete(id);
+  }
+
+  /**
+   * Delete the compressed copy of an item's video
+   * @param {number} id - Queue item ID
+   */
+  releaseTranscoded(id) {
+    this.transcoded.get(id)?.release();
+    this.transcoded.delete(id);
+  }
+
+  /**
+   * Remove an item, cancelling its upload if it is in progress
+   * @param {number} id - Queue item ID
+   */
+  remove(id) {
+    this.controllers.get(id)?.cancel();
+    this.files.delete(id);
+    this.releasePreview(id);
+    this.releaseTranscoded(id);
+    this.items = this.items.filter((item) => item.id !== id);
+    this.notify();
+  }
+
+  /**
+   * Remove all finished items
+   */
+  clearFinished() {
+    this.items.filter(isItemFinished).forEach((item) => {
+      this.files.delete(item.id);
+      this.releasePreview(item.id);
+      this.releaseTranscoded(item.id);
+    });
+    this.items = this.items.filter((item) => !isItemFinished(item));
+    this.notify();
+  }
+
+  pause(id) {
+    const item = this.findItem(id);
+    const controller = this.controllers.get(id);
+    if (!item || !controller) return;
+
+    // A pause by the user is not undone when the connection comes back or
+    // the tab goes idle
+    this.connectionPausedIds.delete(id);
+    this.idlePausedIds.delete(id);
+    if (!this.pausedStatuses.has(id)) {
+      if (!isItemPausable(item)) return;
+      this.pausedStatuses.set(id, item.status);
+      controller.pause();
+      this.meters.get(id)?.reset();
+    }
+    this.updateItem(id, {
+      status: "paused",
+      pauseReason: null,
+      speed: 0,
+      eta: null,
+    });
+  }
+
+  resume(id) {
+    const controller = this.controllers.get(id);
+    if (!controller || !this.pausedStatuses.has(id)) return;
+
+    const status = this.pausedStatuses.get(id);
+    this.pausedStatuses.delete(id);
+    this.connectionPausedIds.delete(id);
+    this.idlePausedIds.delete(id);
+    controller.resume();
+    this.updateItem(id, { status, pauseReason: null });
+  }
+
+  /**
+   * Pause an item for the connection or the user's activity, so it
+   * resumes by itself once that changes
+   * @param {number} id - Queue item ID
+   * @param {string} reason - "connection" or "activity"
+   */
+  pauseFor(id, reason) {
+    const item = this.findItem(id);
+    if (!item || !isItemPausable(item)) return;
+
+    this.pause(id);
+    (reason === "connection"
+      ? this.connectionPausedIds
+      : this.idlePausedIds
+    ).add(id);
+    this.updateItem(id, { pauseReason: reason });
+  }
+
+  /**
+   * Move an uploading item to its next step
+   * A paused item stays paused through steps that can pause, and is
+   * resumed by steps that cannot. Items reaching a step that can pause
+   * while the queue would have paused them are paused there.
+   * @param {number} id - Queue item ID
+   * @param {string} status - Status of the step
+   */
+  setStatus(id, status) {
+    if (this.pausedStatuses.has(id)) {
+      if (PAUSABLE_STATUSES.includes(status)) {
+        this.pausedStatuses.set(id, status);
+        return;
+      }
+      this.resume(id);
+    }
+
+    this.updateItem(id, { status });
+    if (!this.connected) {
+      this.pauseFor(id, "connection");
+    } else if (!this.isDue(this.findItem(id))) {
+      this.pauseFor(id, "activity");
+    }
+  }
+
+  /**
+   * Pause or resume the queue for a change in connectivity
+   * While disconnected no new items start and active uploads are paused;
+   * reconnecting resumes only the uploads that were paused this way.
+   * @param {boolean} connected - True if the backend is reachable
+   */
+  setConnected(connected) {
+    if (connected === this.connected) return;
+    this.connected = connected;
+
+    if (connected) {
+      const ids = [...this.connectionPausedIds];
+      this.connectionPausedIds.clear();
+      ids.forEach((id) => {
+        if (this.isDue(this.findItem(id))) {
+          this.resume(id);
+        } else {
+          this.idlePausedIds.add(id);
+          this.updateItem(id, { pauseReason: "activity" });
+        }
+      });
+      this.processQueue();
+      return;
+    }
+
+    this.items
+      .filter(isItemPausable)
+      .forEach((item) => this.pauseFor(item.id, "connection"));
+  }
+
+  /**
+   * Start or pause uploads that run only while the tab is idle
+   * Items paused this way resume when the tab is idle again.
+   * @param {boolean} idle - True if the user is not using the page
+   */
+  setIdle(idle) {
+    if (idle === this.idle) return;
+    this.idle = idle;
+
+    if (idle) {
+      const ids = [...this.idlePausedIds];
+      this.idlePausedIds.clear();
+      ids.forEach((id) => {
+        if (this.connected) {
+          this.resume(id);
+        } else {
+          this.connectionPausedIds.add(id);
+          this.updateItem(id, { pauseReason: "connection" });
+        }
+      });
+      this.releaseScheduled();
+      return;
+    }
+
+    this.items
+      .filter((item) => item.whenIdle)
+      .forEach((item) => {
+        if (item.status === "queued") {
+          this.updateItem(item.id, { status: "scheduled" });
+        } else {
+          this.pauseFor(item.id, "activity");
+        }
+      });
+  }
+
+  cancel(id) {
+    const item = this.findItem(id);
+    if (WAITING_STATUSES.includes(item?.status)) {
+      this.updateItem(id, { status: "cancelled" });
+      return;
+    }
+    this.controllers.get(id)?.cancel();
+  }
+
+  cancelAll() {
+    this.items.forEach((item) => this.cancel(item.id));
+  }
+
+  findItem(id) {
+    return this.items.find((item) => item.id === id);
+  }
+
+  updateItem(id, changes) {
+    // Items removed mid-upload keep reporting until their upload stops
+    if (!this.findItem(id)) return;
+
+    this.items = this.items.map((item) =>
+      item.id === id ? { ...item, ...changes } : item
+    );
+    this.notify();
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Start queued items until the concurrency limit is reached
+   */
+  processQueue() {
+    if (!this.connected) return;
+
+    const activeCount = this.items.filter(isItemActive).length;
+    const queuedItems = this.items.filter((item) => item.status === "queued");
+
+    queuedItems
+      .slice(0, Math.max(0, this.concurrency - activeCount))
+      .forEach((item) => this.startItem(item));
+  }
+
+  /**
+   * Record transfer progress for an item, throttled to limit re-renders
+   * @param {number} id - Queue item ID
+   * @param {number} progress - Percent uploaded
+   * @param {Object} detail - { loaded, total } in bytes
+   */
+  reportProgress(id, progress, detail) {
+    const meter = this.meters.get(id);
+    const now = Date.now();
+    meter.update(detail.loaded, now);
+
+    const lastTime = this.lastProgressTimes.get(id) || 0;
+    if (progress < 100 && now - lastTime < PROGRESS_INTERVAL_MS) {
+      return;
+    }
+    this.lastProgressTimes.set(id, now);
+
+    this.updateItem(id, {
+      progress,
+      loadedBytes: detail.loaded,
+      speed: meter.getSpeed(),
+      eta: meter.getEta(detail.total),
+    });
+    this.emit("progress", id);
+  }
+
+  /**
+   * Ask what to do with a file that was uploaded before
+   * Uses the onDuplicate option if set; otherwise the item shows the
+   * earlier upload and waits for resolveDuplicate().
+   * @param {number} id - Queue item ID
+   * @param {Object} existing - The earlier upload, from findUploadByHash
+   * @returns {Promise<string>} - "existing", "reference" or "upload"
+   */
+  askDuplicate(id, existing) {
+    if (this.onDuplicate) {
+      return this.onDuplicate(existing, this.findItem(id));
+    }
+
+    const { signal } = this.controllers.get(id);
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.duplicateResolvers.delete(id);
+        reject(createAbortError());
+      };
+      signal.addEventListener("abort", onAbort, { once: true });
+      this.duplicateResolvers.set(id, (action) => {
+        signal.removeEventListener("abort", onAbort);
+        resolve(action);
+      });
+      this.setStatus(id, "duplicate");
+      this.updateItem(id, { duplicate: existing });
+    });
+  }
+
+  /**
+   * Answer the question of an item waiting in the "duplicate" status
+   * @param {number} id - Queue item ID
+   * @param {string} action - "existing" to use the earlier upload,
+   *   "reference" to create an upload sharing its file, or "upload" to
+   *   upload the file anyway
+   */
+  resolveDuplicate(id, action) {
+    const resolve = this.duplicateResolvers.get(id);
+    if (!resolve) return;
+
+    this.duplicateResolvers.delete(id);
+    this.updateItem(id, { duplicate: null });
+    resolve(action);
+  }
+
+  /**
+   * Compress an item's video with the current preset, if any
+   * The compressed copy is kept for retries until the item is uploaded or
+   * removed. The original is uploaded when compressing would not make it
+   * smaller.
+   * @param {number} id - Queue item ID
+   * @param {UploadController} controller - Pauses or cancels the encode
+   * @returns {Promise<Object>} - { file, metadata } to upload
+   */
+  async prepareFile(id, controller) {
+    const original = this.files.get(id);
+    const metadata = this.previews.get(id)?.metadata;
+    const presetKey = this.transcodePreset;
+    const preset = TRANSCODE_PRESETS[presetKey];
+
+    const cached = this.transcoded.get(id);
+    if (cached && cached.presetKey !== presetKey) this.releaseTranscoded(id);
+
+    if (
+      !preset ||
+      !original.type.startsWith("video/") ||
+      !isTranscodingSupported() ||
+      estimateTranscodedSize(preset, metadata) >= original.size
+    ) {
+      this.updateItem(id, {
+        fileSize: original.size,
+        originalSize: null,
+        encodeProgress: null,
+      });
+      return { file: original, metadata };
+    }
+
+    if (!this.transcoded.has(id)) {
+      this.updateItem(id, { encodeProgress: 0 });
+      this.setStatus(id, "encoding");
+      try {
+        const output = await transcodeVideo(original, preset, {
+          controller,
+          onProgress: (encodeProgress) =>
+            this.updateItem(id, { encodeProgress }),
+        });
+        if (output.file.size >= original.size) {
+          output.release();
+          this.setStatus(id, "generating-url");
+          this.updateItem(id, { fileSize: original.size, originalSize: null });
+          return { file: original, metadata };
+        }
+        this.transcoded.set(id, {
+          ...output,
+          presetKey,
+          containerInfo: await readContainerInfo(output.file),
+        });
+      } finally {
+        if (!this.transcoded.has(id)) {
+          this.updateItem(id, { encodeProgress: null });
+        }
+      }
+    }
+
+    const { file, width, height, containerInfo } = this.transcoded.get(id);
+    this.setStatus(id, "generating-url");
+    this.updateItem(id, {
+      fileSize: file.size,
+      originalSize: original.size,
+      encodeProgress: 100,
+    });
+    return {
+      file,
+      metadata: metadata && {
+        ...metadata,
+        ...containerInfo,
+        width,
+        height,
+        mimeType: file.type,
+      },
+    };
+  }
+
+  async startItem(item) {
+    const { id } = item;
+    const controller = new UploadController();
+    this.controllers.set(id, controller);
+    this.meters.set(id, new TransferMeter());
+    this.updateItem(id, { status: "generating-url" });
+    this.emit("started", id);
+
+    try {
+      const { file, metadata } = await this.prepareFile(id, controller);
+      const { uploadId, downloadUrl, duplicateOf } = await runUpload(file, {
+        controller,
+        userId: this.userId,
+        relativePath: item.relativePath,
+        onStatus: (status) => this.setStatus(id, status),
+        onHashProgress: (loaded) => {
+          const hashProgress = Math.floor((loaded / file.size) * 100);
+          if (hashProgress !== this.findItem(id)?.hashProgress) {
+            this.updateItem(id, { hashProgress });
+          }
+        },
+        resolveDuplicate: (existing) => this.askDuplicate(id, existing),
+        onProgress: (progress, detail) =>
+          this.reportProgress(id, progress, detail),
+        onRetry: (retryInfo) => this.updateItem(id, { retryInfo }),
+        onPartComplete: (part) => {
+          if (this.findItem(id)?.retryInfo?.partNumber === part.PartNumber) {
+            this.updateItem(id, { retryInfo: null });
+          }
+        },
+        onUploadId: (uploadId) => this.updateItem(id, { uploadId }),
+        confirmResume: this.confirmResume,
+        metadata,
+        thumbnail: this.previews.get(id)?.poster,
+        background:
+          uploadConfig.backgroundUploads && backgroundUploads.isSupported()
+            ? backgroundUploads
+            : null,
+      });
+
+      this.updateItem(id, {
+        status: "done",
+        progress: 100,
+        loadedBytes: file.size,
+        speed: 0,
+        eta: null,
+        uploadId,
+        downloadUrl,
+        duplicateOf: duplicateOf ?? null,
+        retryInfo: null,
+      });
+      this.releaseTranscoded(id);
+      this.emit("completed", id);
+    } catch (error) {
+      if (isAbortError(error)) {
+        this.updateItem(id, {
+          status: "cancelled",
+          speed: 0,
+          eta: null,
+          retryInfo: null,
+        });
+      } else {
+        console.error(`Upload of ${item.fileName} failed:`, error);
+        this.updateItem(id, {
+          status: "error",
+          error: getUploadErrorMessage(error),
+          speed: 0,
+          eta: null,
+          retryInfo: null,
+        });
+        this.emit("failed", id);
+      }
+    } finally {
+      this.connectionPausedIds.delete(id);
+      this.idlePausedIds.delete(id);
+      this.pausedStatuses.delete(id);
+      this.controllers.delete(id);
+      this.meters.delete(id);
+      this.lastProgressTimes.delete(id);
+      this.processQueue();
+    }
+  }
+}
@@ -0,0 +1,244 @@
+// Persistence for in-progress multipart uploads so they can be resumed
+// after a page reload or browser crash
+const DB_NAME = "video-uploader";
+const DB_VERSION = 2;
+const STORE_NAME = "multipart-uploads";
+
+let dbPromise = null;
+
+/**
+ * Open (and create if needed) the IndexedDB database
+ * @returns {Promise<IDBDatabase>} - The opened database
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.addEventListener("upgradeneeded", (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore(STORE_NAME, { keyPath: "key" });
+          return;
+        }
+
+        // Version 1 was keyed by fingerprint alone, so users sharing a
+        // browser overwrote each other's uploads; move records to the new key
+        const oldStore = request.transaction.objectStore(STORE_NAME);
+        const records = oldStore.getAll();
+        records.addEventListener("success", () => {
+          db.deleteObjectStore(STORE_NAME);
+          const store = db.createObjectStore(STORE_NAME, { keyPath: "key" });
+          records.result.forEach((record) =>
+            store.put({
+              ...record,
+              key: getRecordKey(record.userId, record.fingerprint),
+            })
+          );
+        });
+      });
+
+      request.addEventListener("success", () => resolve(request.result));
+      request.addEventListener("error", () => reject(request.error));
+    });
+
+    // Allow a later call to retry if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Run a callback against the object store inside a single transaction
+ * @param {string} mode - Transaction mode ("readonly" or "readwrite")
+ * @param {Function} callback - Receives the object store, returns an IDBRequest
+ * @returns {Promise<any>} - Result of the request returned by the callback
+ */
+const withStore = async (mode, callback) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const store = transaction.objectStore(STORE_NAME);
+    let result;
+
+    const request = callback(store);
+    if (request) {
+      request.addEventListener("success", () => {
+        result = request.result;
+      });
+    }
+
+    transaction.addEventListener("complete", () => resolve(result));
+    transaction.addEventListener("error", () => reject(transaction.error));
+    transaction.addEventListener("abort", () => reject(transaction.error));
+  });
+};
+
+/**
+ * Build the key of a saved upload; each user has their own uploads
+ * @param {string|null} userId - ID of the user who owns the upload
+ * @param {string} fingerprint - File fingerprint
+ * @returns {Array} - IndexedDB key
+ */
+const getRecordKey = (userId, fingerprint) => [userId ?? "", fingerprint];
+
+/**
+ * Build a fingerprint that identifies the same file across sessions
+ * @param {File} file - The selected file
+ * @returns {string} - Fingerprint made from name, size and lastModified
+ */
+export const getFileFingerprint = (file) =>
+  `${file.name}:${file.size}:${file.lastModified}`;
+
+/**
+ * Multipart upload persistence service
+ *
+ * All methods resolve even when IndexedDB is unavailable (e.g. private
+ * browsing), so persistence never breaks the upload itself.
+ */
+export const uploadStore = {
+  /**
+   * Get a user's saved upload for a file fingerprint
+   * @param {string|null} userId - ID of the user who owns the upload
+   * @param {string} fingerprint - File fingerprint
+   * @returns {Promise<Object|null>} - Saved upload record or null
+   */
+  async get(userId, fingerprint) {
+    try {
+      const record = await withStore("readonly", (store) =>
+        store.get(getRecordKey(userId, fingerprint))
+      );
+      return record || null;
+    } catch (error) {
+      console.error("Failed to read saved upload:", error);
+      return null;
+    }
+  },
+
+  /**
+   * List all saved uploads
+   * @returns {Promise<Array>} - Saved upload records
+   */
+  async list() {
+    try {
+      return (await withStore("readonly", (store) => store.getAll())) || [];
+    } catch (error) {
+      console.error("Failed to list saved uploads:", error);
+      return [];
+    }
+  },
+
+  /**
+   * Save a new multipart upload
+   * @param {File} file - The file being uploaded
+   * @param {Object} session - Provider session from multipart initiation
+   * @param {string} userId - ID of the user who owns the upload
+   * @returns {Promise<void>}
+   */
+  async save(file, session, userId) {
+    const fingerprint = getFileFingerprint(file);
+    const record = {
+      key: getRecordKey(userId, fingerprint),
+      fingerprint,
+      userId,
+      fileName: file.name,
+      fileSize: file.size,
+      lastModified: file.lastModified,
+      uploadId: session.uploadId,
+      partCount: Math.max(1, Math.ceil(file.size / session.partSize)),
+      session,
+      completedParts: [],
+      partChecksums: {},
+      createdAt: Date.now(),
+    };
+
+    try {
+      await withStore("readwrite", (store) => store.put(record));
+    } catch (error) {
+      console.error("Failed to save upload:", error);
+    }
+  },
+
+  /**
+   * Record a completed part for a saved upload
+   * @param {string|null} userId - ID of the user who owns the upload
+   * @param {string} fingerprint - File fingerprint
+   * @param {Object} part - Completed part record (PartNumber plus provider fields)
+   * @param {Object} checksums - Client-side checksums of the part (optional)
+   * @returns {Promise<void>}
+   */
+  async addCompletedPart(userId, fingerprint, part, checksums = null) {
+    try {
+      await withStore("readwrite", (store) => {
+        const request = store.get(getRecordKey(userId, fingerprint));
+        request.addEventListener("success", () => {
+          const record = request.result;
+          if (!record) return;
+
+          record.completedParts = record.completedParts
+            .filter((p) => p.PartNumber !== part.PartNumber)
+            .concat(part);
+          if (checksums) {
+            record.partChecksums = {
+              ...record.partChecksums,
+              [part.PartNumber]: checksums,
+            };
+          }
+          store.put(record);
+        });
+      });
+    } catch (error) {
+      console.error("Failed to record completed part:", error);
+    }
+  },
+
+  /**
+   * Replace the provider session of a saved upload after its upload URLs
+   * were refreshed
+   * @param {string|null} userId - ID of the user who owns the upload
+   * @param {string} fingerprint - File fingerprint
+   * @param {Object} session - Updated provider session
+   * @returns {Promise<void>}
+   */
+  async updateSession(userId, fingerprint, session) {
+    try {
+      await withStore("readwrite", (store) => {
+        const request = store.get(getRecordKey(userId, fingerprint));
+        request.addEventListener("success", () => {
+          const record = request.result;
+          if (!record) return;
+
+          record.session = session;
+          store.put(record);
+        });
+      });
+    } catch (error) {
+      console.error("Failed to update saved upload session:", error);
+    }
+  },
+
+  /**
+   * Remove a saved upload
+   * @param {string|null} userId - ID of the user who owns the upload
+   * @param {string} fingerprint - File fingerprint
+   * @returns {Promise<void>}
+   */
+  async remove(userId, fingerprint) {
+    try {
+      await withStore("readwrite", (store) =>
+        store.delete(getRecordKey(userId, fingerprint))
+      );
+    } catch (error) {
+      console.error("Failed to remove saved upload:", error);
+    }
+  },
+};
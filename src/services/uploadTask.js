@@ -0,0 +1,635 @@
+// Upload flow for a single file (single PUT or multipart)
+import { uploadApi, uploadFileToS3, uploadMultipartFile } from "./api";
+import { uploadStore, getFileFingerprint } from "./uploadStore";
+import { isAbortError } from "./uploadController";
+import { getStorageProvider } from "./providers";
+import { computeChecksums } from "./checksumService";
+import { computeContentHash } from "./contentHashService";
+import { getCompositeChecksums, verifyETag } from "../utils/checksum";
+import {
+  choosePartSize,
+  getMultipartThreshold,
+  recordThroughput,
+  S3_MIN_PART_SIZE,
+} from "../utils/partSize";
+import { uploadConfig } from "../config/uploadConfig";
+import { getErrorMessage } from "../utils/errorMessages";
+
+// Saved multipart uploads older than this are aborted instead of offered for resume
+export const SAVED_UPLOAD_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Abort a saved multipart upload on the backend and forget it locally
+ * @param {Object} savedUpload - Saved upload record
+ */
+export const discardSavedUpload = async (savedUpload) => {
+  try {
+    console.log("Aborting unfinished upload:", savedUpload.uploadId);
+    const { session } = savedUpload;
+    await getStorageProvider(session.provider).abort(session);
+  } catch (error) {
+    console.error("Failed to abort unfinished upload:", error);
+  }
+  await uploadStore.remove(savedUpload.userId, savedUpload.fingerprint);
+};
+
+/**
+ * Clean up the backend side of a cancelled upload
+ * @param {Object|null} upload - { uploadId, session, userId, fingerprint }
+ *   of the started upload, where session is set for multipart uploads
+ */
+const cleanupCancelledUpload = async (upload) => {
+  if (!upload) return;
+
+  try {
+    if (upload.session) {
+      console.log("Aborting cancelled multipart upload:", upload.uploadId);
+      await getStorageProvider(upload.session.provider).abort(upload.session);
+      await uploadStore.remove(upload.userId, upload.fingerprint);
+    } else {
+      console.log("Deleting cancelled upload:", upload.uploadId);
+      await uploadApi.deleteUpload(upload.uploadId);
+    }
+  } catch (error) {
+    console.error("Failed to clean up cancelled upload:", error);
+  }
+};
+
+/**
+ * Upload a video's thumbnail as a sibling object of the upload
+ * A failed thumbnail does not fail the video upload.
+ * @param {string} uploadId - Upload ID the thumbnail belongs to
+ * @param {Blob} thumbnail - JPEG thumbnail
+ * @param {AbortSignal} signal - Aborts the upload when fired
+ * @returns {Promise<string|null>} - S3 key of the thumbnail, or null if it
+ *   was not uploaded
+ */
+const uploadThumbnail = async (uploadId, thumbnail, signal) => {
+  try {
+    const response = await uploadApi.generateThumbnailUrl(
+      uploadId,
+      thumbnail.type,
+      thumbnail.size,
+      { signal }
+    );
+    if (!response.success) {
+      throw new Error("Failed to generate thumbnail URL");
+    }
+
+    const { presignedUrl, s3Key } = response.data;
+    const headers = getStorageProvider(
+      response.data.provider
+    ).getSingleUploadHeaders();
+    if (!headers) {
+      throw new Error("Storage provider cannot take single-request uploads");
+    }
+
+    await uploadFileToS3(presignedUrl, thumbnail, null, { signal, headers });
+    return s3Key;
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.warn("Failed to upload thumbnail:", error);
+    return null;
+  }
+};
+
+/**
+ * Attach the uploaded thumbnail to the metadata sent to the backend
+ * @param {string} uploadId - Upload ID
+ * @param {Object|null} metadata - Video metadata read on the client
+ * @param {Blob|null} thumbnail - Poster thumbnail
+ * @param {AbortSignal} signal - Aborts the thumbnail upload when fired
+ * @returns {Promise<Object|null>} - Metadata for confirm/complete
+ */
+const prepareMetadata = async (uploadId, metadata, thumbnail, signal) => {
+  if (!metadata) return null;
+
+  const thumbnailKey = thumbnail
+    ? await uploadThumbnail(uploadId, thumbnail, signal)
+    : null;
+  return { ...metadata, thumbnailKey };
+};
+
+/**
+ * Turn an upload error into a user-friendly message
+ * @param {Error} error - The error thrown by the upload
+ * @returns {string} - Message to show to the user
+ */
+export const getUploadErrorMessage = (error) =>
+  `Upload failed: ${getErrorMessage(error)}`;
+
+/**
+ * Wrap a progress callback to measure the throughput of a transfer
+ * @param {Function} onProgress - Progress callback to forward to (optional)
+ * @returns {Object} - { onProgress, record } where record() saves the
+ *   measured throughput for sizing later uploads
+ */
+const trackThroughput = (onProgress) => {
+  let first = null;
+  let last = null;
+
+  return {
+    onProgress: (progress, detail) => {
+      const sample = { time: Date.now(), loaded: detail.loaded };
+      first = first || sample;
+      last = sample;
+      onProgress?.(progress, detail);
+    },
+    record: () => {
+      // Too little data gives a meaningless measurement, and a capped
+      // speed says nothing about the link
+      if (
+        !first ||
+        last.loaded - first.loaded < S3_MIN_PART_SIZE ||
+        uploadConfig.bandwidthLimit
+      ) {
+        return;
+      }
+
+      const seconds = (last.time - first.time) / 1000;
+      if (seconds > 0) {
+        recordThroughput((last.loaded - first.loaded) / seconds);
+      }
+    },
+  };
+};
+
+/**
+ * Upload the remaining parts of a multipart upload and complete it
+ * Runs in the page, or in the background upload worker.
+ * @param {File} file - The file being uploaded
+ * @param {Object} transfer - The started upload
+ * @param {Object} transfer.session - Storage provider session
+ * @param {string} transfer.userId - Owner of the saved upload record
+ * @param {string} transfer.fingerprint - File fingerprint of that record
+ * @param {Array} transfer.completedParts - Parts uploaded before (optional)
+ * @param {Object} transfer.partChecksums - Checksums of those parts by part number (optional)
+ * @param {string|null} transfer.checksumAlgorithm - "md5", "sha256" or null
+ * @param {Object} transfer.metadata - Video metadata sent with complete (optional)
+ * @param {Blob} transfer.thumbnail - Poster thumbnail (optional)
+ * @param {Object} options - Callbacks as for runUpload, plus the controller
+ * @returns {Promise<Object>} - { uploadId, downloadUrl } of the finished upload
+ */
+export const transferMultipartUpload = async (file, transfer, options) => {
+  const {
+    session,
+    userId,
+    fingerprint,
+    completedParts: previousParts = [],
+    checksumAlgorithm,
+    metadata = null,
+    thumbnail = null,
+  } = transfer;
+  const {
+    controller,
+    onStatus = () => {},
+    onProgress,
+    onRetry,
+    onPartComplete,
+  } = options;
+  const partChecksums = { ...transfer.partChecksums };
+  const provider = getStorageProvider(session.provider);
+  const { uploadId } = session;
+  const partCount = Math.max(1, Math.ceil(file.size / session.partSize));
+  const throughput = trackThroughput(onProgress);
+
+  // Step 2: Upload all remaining parts
+  console.log(
+    `Uploading ${partCount - previousParts.length} of ${partCount} parts to ${
+      provider.name
+    }...`
+  );
+  const completedParts = await uploadMultipartFile(
+    file,
+    session,
+    throughput.onProgress,
+    {
+      provider,
+      completedParts: previousParts,
+      onPartComplete: (part, checksums) => {
+        if (checksums) {
+          partChecksums[part.PartNumber] = checksums;
+        }
+        uploadStore.addCompletedPart(userId, fingerprint, part, checksums);
+        onPartComplete?.(part, checksums);
+      },
+      checksumAlgorithm,
+      onRetry,
+      controller,
+      onSessionUpdated: (updatedSession) =>
+        uploadStore.updateSession(userId, fingerprint, updatedSession),
+    }
+  );
+
+  console.log("All parts uploaded successfully");
+  throughput.record();
+  onStatus("completing-multipart");
+
+  // Parts resumed from an older session may have no saved checksums
+  const orderedChecksums = completedParts.map(
+    (part) => partChecksums[part.PartNumber]
+  );
+  const compositeChecksum =
+    checksumAlgorithm && orderedChecksums.every(Boolean)
+      ? await getCompositeChecksums(orderedChecksums)
+      : null;
+
+  // Step 3: Complete multipart upload
+  const uploadMetadata = await prepareMetadata(
+    uploadId,
+    metadata,
+    thumbnail,
+    controller.signal
+  );
+  console.log("Completing multipart upload...");
+  const completeResponse = await provider.complete(
+    session,
+    completedParts,
+    compositeChecksum,
+    uploadMetadata
+  );
+
+  console.log("Multipart completion response:", completeResponse);
+
+  if (!completeResponse.success) {
+    throw new Error("Failed to complete multipart upload");
+  }
+
+  if (compositeChecksum && provider.verifiesETag) {
+    verifyETag(compositeChecksum.etag, completeResponse.data.etag);
+  }
+
+  await uploadStore.remove(userId, fingerprint);
+  console.log("Multipart upload completed successfully!");
+  return { uploadId, downloadUrl: completeResponse.data.downloadUrl };
+};
+
+/**
+ * Hash a file and look for a finished upload with the same content
+ * Hashing and lookup failures are logged and count as no duplicate, so
+ * backends without the lookup endpoint still accept uploads.
+ * @param {File} file - The file to upload
+ * @param {Object} options - { controller, userId, onHashProgress }
+ * @returns {Promise<Object>} - { contentHash, existing }: the file's hash
+ *   (null if it could not be computed) and the matching upload, or null
+ */
+const findDuplicate = async (file, { controller, userId, onHashProgress }) => {
+  const { signal } = controller;
+  let contentHash = null;
+
+  try {
+    contentHash = await computeContentHash(file, {
+      signal,
+      controller,
+      onProgress: onHashProgress,
+    });
+    const response = await uploadApi.findUploadByHash(
+      contentHash,
+      file.size,
+      userId,
+      { signal }
+    );
+    return {
+      contentHash,
+      existing: response.success ? response.data?.upload ?? null : null,
+    };
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.warn("Duplicate check failed, uploading the file:", error);
+    return { contentHash, existing: null };
+  }
+};
+
+/**
+ * Finish an upload without sending the file, by reusing an existing upload
+ * of the same content
+ * @param {File} file - The file that was not uploaded
+ * @param {Object} existing - Matching upload from findUploadByHash
+ * @param {string} action - "existing" to use the upload as it is, or
+ *   "reference" to create a new upload sharing its stored file
+ * @param {Object} options - { controller, userId, relativePath, metadata,
+ *   onStatus }
+ * @returns {Promise<Object>} - { uploadId, downloadUrl, duplicateOf }
+ */
+const reuseUpload = async (file, existing, action, options) => {
+  const { controller, userId, relativePath, metadata, onStatus } = options;
+  if (action === "existing") {
+    console.log("Skipping upload, using existing upload:", existing.uploadId);
+    return {
+      uploadId: existing.uploadId,
+      downloadUrl: existing.downloadUrl,
+      duplicateOf: existing.uploadId,
+    };
+  }
+
+  onStatus("confirming");
+  console.log("Creating a reference to upload:", existing.uploadId);
+  const response = await uploadApi.createUploadReference(
+    existing.uploadId,
+    file.name,
+    userId,
+    relativePath,
+    metadata,
+    { signal: controller.signal }
+  );
+  if (!response.success) {
+    throw new Error("Failed to create a reference to the existing upload");
+  }
+  return {
+    uploadId: response.data.uploadId,
+    downloadUrl: response.data.downloadUrl,
+    duplicateOf: existing.uploadId,
+  };
+};
+
+/**
+ * Upload a file through the backend's presigned URL flow
+ *
+ * If the upload is cancelled through the controller, the backend upload is
+ * aborted or deleted before the AbortError is rethrown.
+ * @param {File} file - The file to upload
+ * @param {Object} options - Upload options
+ * @param {UploadController} options.controller - Cancel and pause/resume control
+ * @param {string} options.userId - ID of the user who owns the upload
+ * @param {Function} options.onStatus - Called with each status change
+ * @param {Function} options.onProgress - Called with the percent uploaded
+ * @param {Function} options.onRetry - Called before each retry of a PUT
+ * @param {Function} options.onPartComplete - Called with each completed multipart part and its checksums
+ * @param {Function} options.onUploadId - Called once the backend assigns an upload ID
+ * @param {Function} options.confirmResume - Called with a saved upload of the same file; resolves true to resume it
+ * @param {Object} options.metadata - Video metadata sent with confirm/complete (optional)
+ * @param {Blob} options.thumbnail - Poster thumbnail uploaded next to the video (optional)
+ * @param {string} options.relativePath - Path of the file within an uploaded folder (optional)
+ * @param {Object} options.background - Background upload client that takes
+ *   over multipart transfers, see backgroundUploads (optional)
+ * @param {Function} options.onHashProgress - Called with the bytes hashed
+ *   while looking for an earlier upload of the same content
+ * @param {Function} options.resolveDuplicate - Called with the earlier
+ *   upload of the same content; resolves "existing" to use it, "reference"
+ *   to create a new upload sharing its file, or "upload" to upload anyway
+ *   (default: "existing")
+ * @returns {Promise<Object>} - { uploadId, downloadUrl } of the finished
+ *   upload, and duplicateOf with the ID of the reused upload if the file
+ *   was not sent
+ */
+export const runUpload = async (file, options) => {
+  const {
+    controller,
+    userId,
+    onStatus = () => {},
+    onProgress,
+    onRetry,
+    onPartComplete,
+    onUploadId = () => {},
+    confirmResume = async () => false,
+    metadata = null,
+    thumbnail = null,
+    background = null,
+    relativePath = null,
+    onHashProgress,
+    resolveDuplicate = async () => "existing",
+  } = options;
+  let startedUpload = null;
+  const throughput = trackThroughput(onProgress);
+
+  try {
+    // This user's unfinished upload of the same file, if one was saved
+    // (uploads saved by other users on this browser are kept apart)
+    const fingerprint = getFileFingerprint(file);
+    const savedUpload = await uploadStore.get(userId, fingerprint);
+
+    // Step 0: Skip content that was uploaded before; a saved upload was
+    // checked when it started, so the file is not read again
+    let contentHash = null;
+    if (uploadConfig.deduplicate && !savedUpload) {
+      onStatus("checking-duplicates");
+      const duplicate = await findDuplicate(file, {
+        controller,
+        userId,
+        onHashProgress,
+      });
+      contentHash = duplicate.contentHash;
+
+      if (duplicate.existing) {
+        const action = await resolveDuplicate(duplicate.existing);
+        if (action !== "upload") {
+          return await reuseUpload(file, duplicate.existing, action, {
+            controller,
+            userId,
+            relativePath,
+            metadata,
+            onStatus,
+          });
+        }
+      }
+    }
+
+    const useMultipart =
+      file.size >
+      getMultipartThreshold(
+        uploadConfig.multipartThreshold,
+        uploadConfig.bandwidthLimit
+      );
+    const checksumAlgorithm =
+      uploadConfig.checksumAlgorithm === "none"
+        ? null
+        : uploadConfig.checksumAlgorithm;
+
+    console.log(
+      `Processing ${useMultipart ? "multipart" : "single"} upload for:`,
+      file.name,
+      file.type,
+      `${(file.size / (1024 * 1024)).toFixed(1)}MB`
+    );
+
+    if (useMultipart) {
+      // Multipart upload flow
+      onStatus("initiating-multipart");
+
+      let session = null;
+      let previousParts = [];
+      let partChecksums = {};
+
+      // Offer to resume the saved upload
+      if (savedUpload) {
+        if (await confirmResume(savedUpload)) {
+          console.log("Resuming multipart upload:", savedUpload.uploadId);
+          session = savedUpload.session;
+          previousParts = savedUpload.completedParts;
+          partChecksums = { ...savedUpload.partChecksums };
+        } else {
+          await discardSavedUpload(savedUpload);
+        }
+      }
+
+      if (!session) {
+        // Step 1: Initiate multipart upload
+        const requestedPartSize =
+          uploadConfig.partSize ||
+          choosePartSize(file.size, {
+            concurrency: uploadConfig.partConcurrency,
+            speedLimit: uploadConfig.bandwidthLimit,
+          });
+        console.log(
+          `Initiating multipart upload with ${(
+            requestedPartSize /
+            (1024 * 1024)
+          ).toFixed(0)}MB parts...`
+        );
+        const multipartResponse = await uploadApi.initiateMultipartUpload(
+          file.name,
+          file.type,
+          file.size,
+          userId,
+          requestedPartSize,
+          relativePath,
+          contentHash
+        );
+
+        console.log("Multipart initiation response:", multipartResponse);
+
+        if (!multipartResponse.success) {
+          throw new Error("Failed to initiate multipart upload");
+        }
+
+        // The backend picks the storage provider; the adapter may need to
+        // open its own upload session before parts can be sent
+        session = await getStorageProvider(
+          multipartResponse.data.provider
+        ).initiate(multipartResponse.data, file);
+        await uploadStore.save(file, session, userId);
+      }
+
+      const { uploadId } = session;
+      startedUpload = { uploadId, session, userId, fingerprint };
+      controller.signal.throwIfAborted();
+      onUploadId(uploadId);
+      onStatus("uploading-parts");
+
+      const transfer = {
+        session,
+        userId,
+        fingerprint,
+        completedParts: previousParts,
+        partChecksums,
+        checksumAlgorithm,
+        metadata,
+        thumbnail,
+      };
+      const transferOptions = {
+        controller,
+        onStatus,
+        onProgress,
+        onRetry,
+        onPartComplete,
+      };
+      if (background) {
+        // The worker keeps going if this page is closed, and cleans up
+        // after a cancel itself
+        startedUpload = null;
+        return await background.transfer(file, transfer, transferOptions);
+      }
+      return await transferMultipartUpload(file, transfer, transferOptions);
+    }
+
+    // Single upload flow
+    let checksums = null;
+    if (checksumAlgorithm) {
+      onStatus("hashing");
+      checksums = await computeChecksums(file, checksumAlgorithm);
+    }
+
+    onStatus("generating-url");
+
+    // Step 1: Generate presigned URL
+    // Not aborted mid-request: the upload record it creates must be known
+    // so cancelling can clean it up
+    console.log("Generating presigned URL...");
+    const urlResponse = await uploadApi.generatePresignedUrl(
+      file.name,
+      file.type,
+      userId,
+      file.size,
+      relativePath,
+      contentHash
+    );
+
+    console.log("Presigned URL response:", urlResponse);
+
+    if (!urlResponse.success) {
+      throw new Error("Failed to generate presigned URL");
+    }
+
+    const { uploadId, presignedUrl } = urlResponse.data;
+    const provider = getStorageProvider(urlResponse.data.provider);
+    const singleUploadHeaders = provider.getSingleUploadHeaders();
+    if (!singleUploadHeaders) {
+      throw new Error(
+        `The ${provider.name} storage provider does not support single-request uploads`
+      );
+    }
+    startedUpload = { uploadId, session: null };
+    controller.signal.throwIfAborted();
+    onUploadId(uploadId);
+    onStatus("uploading");
+
+    // Step 2: Upload file to storage
+    console.log(`Uploading file to ${provider.name}...`);
+    const xhr = await uploadFileToS3(
+      presignedUrl,
+      file,
+      throughput.onProgress,
+      {
+        onRetry,
+        signal: controller.signal,
+        controller,
+        headers: {
+          ...singleUploadHeaders,
+          ...(checksums &&
+            provider.getChecksumHeaders(checksums, checksumAlgorithm)),
+        },
+      }
+    );
+
+    console.log("File uploaded successfully");
+    throughput.record();
+    onStatus("confirming");
+
+    // Step 3: Confirm upload with backend
+    const uploadMetadata = await prepareMetadata(
+      uploadId,
+      metadata,
+      thumbnail,
+      controller.signal
+    );
+    console.log("Confirming upload with backend...");
+    const confirmResponse = await uploadApi.confirmUpload(
+      uploadId,
+      checksums && { algorithm: checksumAlgorithm, ...checksums },
+      uploadMetadata,
+      { signal: controller.signal }
+    );
+
+    console.log("Upload confirmation response:", confirmResponse);
+
+    if (!confirmResponse.success) {
+      throw new Error("Failed to confirm upload");
+    }
+
+    if (checksums && provider.verifiesETag) {
+      verifyETag(
+        checksums.md5Hex,
+        confirmResponse.data.etag || xhr.getResponseHeader("ETag")
+      );
+    }
+
+    console.log("Upload completed successfully!");
+    return { uploadId, downloadUrl: confirmResponse.data.downloadUrl };
+  } catch (error) {
+    if (isAbortError(error)) {
+      console.log("Upload cancelled by user");
+      await cleanupCancelledUpload(startedUpload);
+    }
+    throw error;
+  }
+};
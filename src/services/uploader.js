@@ -0,0 +1,253 @@
+// Framework-agnostic upload engine for embedding the uploader in other apps
+import apiClient from "./api";
+import { HealthMonitor, isDisconnected } from "./healthMonitor";
+import { UploadQueue, getAggregateProgress } from "./uploadQueue";
+import { validationPolicyStore } from "./validationPolicy";
+import { backgroundUploads } from "./backgroundUploads";
+import { configureUploads, uploadConfig } from "../config/uploadConfig";
+import { idleMonitor } from "../utils/idleMonitor";
+
+/**
+ * Uploads files to the backend with a queue, health monitoring and
+ * lifecycle events
+ *
+ * Wraps an UploadQueue and a HealthMonitor: uploads pause while the backend
+ * is unreachable and the validation policy is (re)loaded whenever it comes
+ * back. The API client and upload configuration are shared by every
+ * Uploader on the page, so `apiBaseUrl`, `auth` and `config` apply to all
+ * of them.
+ *
+ * @example
+ * const uploader = new Uploader({ apiBaseUrl: "https://api.example.com", userId });
+ * uploader.onUploadCompleted((item) => console.log(item.downloadUrl));
+ * uploader.start();
+ * uploader.upload(fileInput.files);
+ */
+export class Uploader {
+  /**
+   * @param {Object} options - Uploader options (optional)
+   * @param {string|Function} options.apiBaseUrl - Backend URL, see ApiClient#setBaseURL
+   * @param {Object} options.auth - { getAccessToken(), refreshAccessToken() } used to sign requests
+   * @param {string} options.userId - ID of the user who owns new uploads
+   * @param {Object} options.policy - Fixed validation policy; when set the
+   *   backend's policy is not fetched
+   * @param {number} options.concurrency - Max number of files uploading at once
+   * @param {Object} options.config - Overrides for uploadConfig
+   * @param {string} options.transcodePreset - Compress videos before upload
+   *   with this key of TRANSCODE_PRESETS (default: uploadConfig.transcodePreset)
+   * @param {Function} options.confirmResume - Asked before resuming a saved upload
+   * @param {Function} options.onDuplicate - Decides what to do with files
+   *   uploaded before, see UploadQueue; by default the UI asks
+   * @param {boolean} options.monitorHealth - Poll backend health (default: true)
+   */
+  constructor(options = {}) {
+    if (options.apiBaseUrl) {
+      apiClient.setBaseURL(options.apiBaseUrl);
+    }
+    if (options.auth) {
+      apiClient.setAuth(options.auth);
+    }
+    if (options.config) {
+      configureUploads(options.config);
+    }
+    if (options.policy) {
+      validationPolicyStore.setPolicy(options.policy);
+    }
+
+    this.fixedPolicy = Boolean(options.policy);
+    this.monitorHealth = options.monitorHealth ?? true;
+    this.queue = new UploadQueue({
+      concurrency: options.concurrency,
+      userId: options.userId,
+      confirmResume: options.confirmResume,
+      transcodePreset: options.transcodePreset,
+      onDuplicate: options.onDuplicate,
+    });
+    this.healthMonitor = new HealthMonitor();
+    this.started = false;
+    this.lastHealthStatus = null;
+    this.unsubscribeHealth = null;
+    this.unsubscribeIdle = null;
+
+    this.subscribe = this.queue.subscribe;
+    this.getItems = this.queue.getItems;
+    this.subscribeHealth = this.healthMonitor.subscribe;
+    this.getHealth = this.healthMonitor.getState;
+  }
+
+  /**
+   * Start monitoring the backend's health and whether the tab is idle
+   * @returns {Uploader} - This uploader
+   */
+  start() {
+    if (this.started) return this;
+    this.started = true;
+
+    this.unsubscribeIdle = idleMonitor.subscribe(() =>
+      this.queue.setIdle(idleMonitor.isIdle())
+    );
+    this.queue.setIdle(idleMonitor.isIdle());
+
+    if (!this.monitorHealth) {
+      if (!this.fixedPolicy) {
+        validationPolicyStore.load();
+      }
+      return this;
+    }
+
+    this.unsubscribeHealth = this.healthMonitor.subscribe(() =>
+      this.handleHealthChange()
+    );
+    this.healthMonitor.start();
+    return this;
+  }
+
+  /**
+   * Stop monitoring and cancel every upload in progress
+   */
+  destroy() {
+    this.started = false;
+    this.unsubscribeHealth?.();
+    this.unsubscribeHealth = null;
+    this.unsubscribeIdle?.();
+    this.unsubscribeIdle = null;
+    this.healthMonitor.stop();
+    this.queue.cancelAll();
+  }
+
+  handleHealthChange() {
+    const health = this.healthMonitor.getState();
+    this.queue.setConnected(!isDisconnected(health));
+
+    if (
+      health.status === "ready" &&
+      this.lastHealthStatus !== "ready" &&
+      !this.fixedPolicy
+    ) {
+      validationPolicyStore.load();
+    }
+    this.lastHealthStatus = health.status;
+  }
+
+  /**
+   * Check the backend's health now
+   * @returns {Promise<Object>} - The new health state
+   */
+  checkHealth() {
+    return this.healthMonitor.check();
+  }
+
+  /**
+   * Check if new uploads can start
+   * @returns {boolean} - True if the backend is ready, or health is not monitored
+   */
+  isReady() {
+    return !this.monitorHealth || this.getHealth().status === "ready";
+  }
+
+  /**
+   * Validate and queue files for upload
+   * @param {FileList|Array<File|Object>} files - Files to upload, or
+   *   { file, relativePath } for files from a folder
+   * @param {Object} schedule - { startAt, whenIdle } to upload later, see
+   *   UploadQueue#add (optional)
+   * @returns {Array<Object>} - The new queue items
+   */
+  upload(files, schedule) {
+    return this.queue.add(files, schedule);
+  }
+
+  startNow(id) {
+    this.queue.startNow(id);
+  }
+
+  resolveDuplicate(id, action) {
+    this.queue.resolveDuplicate(id, action);
+  }
+
+  pause(id) {
+    this.queue.pause(id);
+  }
+
+  resume(id) {
+    this.queue.resume(id);
+  }
+
+  cancel(id) {
+    this.queue.cancel(id);
+  }
+
+  cancelAll() {
+    this.queue.cancelAll();
+  }
+
+  retry(id) {
+    this.queue.retry(id);
+  }
+
+  remove(id) {
+    this.queue.remove(id);
+  }
+
+  clearFinished() {
+    this.queue.clearFinished();
+  }
+
+  setUserId(userId) {
+    this.queue.setUserId(userId);
+  }
+
+  setConcurrency(concurrency) {
+    this.queue.setConcurrency(concurrency);
+  }
+
+  setTranscodePreset(preset) {
+    this.queue.setTranscodePreset(preset);
+  }
+
+  /**
+   * Cap the upload speed of all uploads, including running ones
+   * @param {number|null} bytesPerSecond - Speed cap, or null for none
+   */
+  setBandwidthLimit(bytesPerSecond) {
+    const overrides = { bandwidthLimit: bytesPerSecond || null };
+    configureUploads(overrides);
+    if (uploadConfig.backgroundUploads && backgroundUploads.isSupported()) {
+      backgroundUploads.configure(overrides);
+    }
+  }
+
+  /**
+   * Byte-level progress across all files
+   * @returns {Object} - { percent, loaded, total, speed, eta }
+   */
+  getProgress() {
+    return getAggregateProgress(this.getItems());
+  }
+
+  /**
+   * Listen for an upload lifecycle event, see UploadQueue#on
+   * @param {string} type - "started", "progress", "completed" or "failed"
+   * @param {Function} listener - Called with the queue item
+   * @returns {Function} - Unsubscribe function
+   */
+  on(type, listener) {
+    return this.queue.on(type, listener);
+  }
+
+  onUploadStarted(listener) {
+    return this.queue.onUploadStarted(listener);
+  }
+
+  onUploadProgress(listener) {
+    return this.queue.onUploadProgress(listener);
+  }
+
+  onUploadCompleted(listener) {
+    return this.queue.onUploadCompleted(listener);
+  }
+
+  onUploadFailed(listener) {
+    return this.queue.onUploadFailed(listener);
+  }
+}
@@ -0,0 +1,57 @@
+// Upload validation policy, fetched from the backend
+import { uploadApi } from "./api";
+
+// Used until the backend's policy has loaded, or if it does not serve one
+export const DEFAULT_VALIDATION_POLICY = {
+  types: [{ name: "Video", mimeTypes: ["video/*"] }],
+};
+
+let policy = DEFAULT_VALIDATION_POLICY;
+const listeners = new Set();
+
+/**
+ * Current validation policy, subscribable so React can re-render when the
+ * backend's policy arrives
+ */
+export const validationPolicyStore = {
+  getPolicy() {
+    return policy;
+  },
+
+  /**
+   * Listen for policy changes
+   * @param {Function} listener - Called after the policy changes
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * Replace the policy, e.g. with one supplied by an embedding page
+   * @param {Object} newPolicy - Policy with allowed types and per-type limits
+   */
+  setPolicy(newPolicy) {
+    policy = newPolicy;
+    listeners.forEach((listener) => listener());
+  },
+
+  /**
+   * Fetch the policy from the backend
+   * Keeps the current policy if the request fails.
+   * @returns {Promise<Object>} - The policy in effect
+   */
+  async load() {
+    try {
+      const response = await uploadApi.getValidationPolicy();
+      if (response.success && Array.isArray(response.data?.types)) {
+        policy = response.data;
+        listeners.forEach((listener) => listener());
+      }
+    } catch (error) {
+      console.error("Failed to load validation policy:", error);
+    }
+    return policy;
+  },
+};
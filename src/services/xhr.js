@@ -0,0 +1,190 @@
+// XMLHttpRequest transport for uploads (fetch cannot report upload progress)
+import { createAbortError } from "./uploadController";
+import { HttpError, NetworkError, S3Error } from "../utils/errors";
+import { bandwidthLimiter } from "../utils/bandwidthLimiter";
+
+const isSuccessStatus = (status) => status >= 200 && status < 300;
+
+/**
+ * Abort an XHR when the signal fires
+ * @param {XMLHttpRequest} xhr - The request to abort
+ * @param {AbortSignal} signal - Abort signal (optional)
+ * @returns {Function} - Removes the abort listener
+ */
+const bindAbortSignal = (xhr, signal) => {
+  if (!signal) return () => {};
+
+  const onAbort = () => xhr.abort();
+  signal.addEventListener("abort", onAbort, { once: true });
+  return () => signal.removeEventListener("abort", onAbort);
+};
+
+/**
+ * Build the error for a rejected request
+ * Storage XML error bodies become an S3Error with the parsed code.
+ * @param {XMLHttpRequest} xhr - The finished request
+ * @param {string} label - What was being sent, for the message
+ * @returns {HttpError} - The typed error
+ */
+const createResponseError = (xhr, label) => {
+  const body = xhr.responseText;
+  if (S3Error.isErrorBody(body)) {
+    return S3Error.fromResponse(xhr.status, body, label);
+  }
+
+  return new HttpError(
+    `${label} failed with status ${xhr.status}: ${xhr.statusText}`,
+    { status: xhr.status, body: body || null }
+  );
+};
+
+const getBodySize = (body) => body?.size ?? body?.length ?? 0;
+
+/**
+ * Wait for the bandwidth limiter to allow a request body
+ * @param {number} size - Body size in bytes
+ * @param {AbortSignal} signal - Abort signal (optional)
+ * @returns {Promise<void>} - Rejects with an AbortError if aborted
+ */
+const waitForBandwidth = async (size, signal) => {
+  try {
+    await bandwidthLimiter.take(size, signal);
+  } catch (error) {
+    if (signal?.aborted) throw createAbortError();
+    throw error;
+  }
+};
+
+/**
+ * Send a single request with fetch, where XMLHttpRequest is unavailable
+ * (Service Workers)
+ * Progress is only reported once the whole body has been sent.
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {Blob|string|null} body - Request body
+ * @param {Object} options - Options as for sendXhr
+ * @returns {Promise<Object>} - XMLHttpRequest-like { status, statusText,
+ *   responseText, getResponseHeader() }
+ */
+const sendFetch = async (method, url, body, options) => {
+  const {
+    headers = {},
+    signal,
+    onProgress,
+    acceptStatus = isSuccessStatus,
+    label = "Upload",
+  } = options;
+  const size = getBodySize(body);
+  let response;
+  let responseText;
+
+  await waitForBandwidth(size, signal);
+  try {
+    response = await fetch(url, { method, headers, body, signal });
+    responseText = await response.text();
+  } catch (error) {
+    // Without a response the body may not have gone out; the retry is
+    // charged for it instead
+    if (!response) bandwidthLimiter.refund(size);
+    if (signal?.aborted) throw createAbortError();
+    throw new NetworkError(`${label} failed due to network error`, {
+      cause: error,
+    });
+  }
+
+  const result = {
+    status: response.status,
+    statusText: response.statusText,
+    responseText,
+    getResponseHeader: (name) => response.headers.get(name),
+  };
+  if (!acceptStatus(result.status)) {
+    throw createResponseError(result, label);
+  }
+
+  onProgress?.(size, size);
+  return result;
+};
+
+/**
+ * Send a single request with XMLHttpRequest
+ * The body is held back while the upload speed cap is used up (see
+ * bandwidthLimiter); bytes a failed request did not send are given back,
+ * so a retry is charged only for what it sends again.
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {Blob|string|null} body - Request body
+ * @param {Object} options - Request options (optional)
+ * @param {Object} options.headers - Request headers
+ * @param {AbortSignal} options.signal - Aborts the request when fired
+ * @param {Function} options.onProgress - Called with (loaded, total) bytes of the body sent
+ * @param {Function} options.acceptStatus - Decides which statuses count as success (default: 2xx)
+ * @param {string} options.label - Prefix for error messages (default: "Upload")
+ * @returns {Promise<XMLHttpRequest>} - The finished request (an
+ *   XMLHttpRequest-like object where only fetch is available); rejects
+ *   with a NetworkError, HttpError, S3Error or AbortError
+ */
+export const sendXhr = async (method, url, body, options = {}) => {
+  const {
+    headers = {},
+    signal,
+    onProgress,
+    acceptStatus = isSuccessStatus,
+    label = "Upload",
+  } = options;
+
+  if (typeof XMLHttpRequest === "undefined") {
+    return sendFetch(method, url, body, options);
+  }
+
+  const size = getBodySize(body);
+  await waitForBandwidth(size, signal);
+  return new Promise((resolve, reject) => {
+    let sent = 0;
+    const fail = (error) => {
+      bandwidthLimiter.refund(size - sent);
+      reject(error);
+    };
+
+    if (signal?.aborted) {
+      fail(createAbortError());
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    xhr.addEventListener("loadend", bindAbortSignal(xhr, signal));
+
+    xhr.upload.addEventListener("progress", (e) => {
+      sent = e.loaded;
+      if (onProgress) {
+        onProgress(e.loaded, e.lengthComputable ? e.total : null);
+      }
+    });
+
+    xhr.addEventListener("load", () => {
+      if (acceptStatus(xhr.status)) {
+        resolve(xhr);
+      } else {
+        reject(createResponseError(xhr, label));
+      }
+    });
+
+    xhr.addEventListener("error", () => {
+      fail(new NetworkError(`${label} failed due to network error`));
+    });
+
+    xhr.addEventListener("timeout", () => {
+      fail(new NetworkError(`${label} timed out`, { code: "Timeout" }));
+    });
+
+    xhr.addEventListener("abort", () => {
+      fail(createAbortError());
+    });
+
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([name, value]) =>
+      xhr.setRequestHeader(name, value)
+    );
+    xhr.send(body);
+  });
+};
@@ -0,0 +1,101 @@
+// Upload speed cap shared by every upload in the page (or worker)
+import { sleep } from "./retry";
+import { uploadConfig } from "../config/uploadConfig";
+
+// Bytes that may be sent at once after a quiet period, in seconds at the cap
+export const BURST_SECONDS = 1;
+
+// Longest wait before the cap is read again
+const MAX_WAIT_MS = 1000;
+
+/**
+ * Token bucket that paces request bodies to uploadConfig.bandwidthLimit
+ *
+ * A body cannot be slowed down once it is handed to the browser, so this
+ * caps the average rate only: each send waits for its bytes before it
+ * starts and then goes out at full line speed. Bodies larger than the
+ * bucket (e.g. S3's 5 MB minimum part under a cap below 5 MB/s) wait for a
+ * full bucket and leave it in debt, which later sends pay off. Bytes a
+ * failed send never got out are given back. Waiters are served in order.
+ */
+export class BandwidthLimiter {
+  constructor() {
+    this.tokens = 0;
+    this.updatedAt = null;
+    this.rate = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Add the tokens earned since the last call
+   * @param {number} rate - Cap in bytes per second
+   * @param {number} now - Current time in milliseconds
+   */
+  refill(rate, now) {
+    const capacity = rate * BURST_SECONDS;
+    if (rate !== this.rate || this.updatedAt === null) {
+      // A new cap starts with a full bucket instead of an old debt
+      this.rate = rate;
+      this.tokens = capacity;
+    } else {
+      this.tokens = Math.min(
+        capacity,
+        this.tokens + ((now - this.updatedAt) / 1000) * rate
+      );
+    }
+    this.updatedAt = now;
+  }
+
+  /**
+   * Give back tokens for bytes that were taken but never sent
+   * @param {number} bytes - Unsent bytes
+   */
+  refund(bytes) {
+    if (this.rate === null || !(bytes > 0)) return;
+
+    this.tokens = Math.min(this.rate * BURST_SECONDS, this.tokens + bytes);
+  }
+
+  /**
+   * Wait until a body of this size may be sent
+   * Returns at once when no cap is set.
+   * @param {number} bytes - Body size
+   * @param {AbortSignal} signal - Stops waiting when aborted (optional)
+   * @returns {Promise<void>} - Rejects with the abort reason if aborted
+   */
+  take(bytes, signal) {
+    const turn = this.queue.then(async () => {
+      for (;;) {
+        signal?.throwIfAborted();
+        const rate = uploadConfig.bandwidthLimit;
+        if (!rate) return;
+
+        this.refill(rate, Date.now());
+        const needed = Math.min(bytes, rate * BURST_SECONDS);
+        if (this.tokens >= needed) {
+          this.tokens -= bytes;
+          return;
+        }
+        // Re-checked at least every second in case the cap was changed
+        await sleep(
+          Math.min(MAX_WAIT_MS, ((needed - this.tokens) / rate) * 1000),
+          signal
+        );
+      }
+    });
+    // A cancelled waiter must not hold up the ones behind it
+    this.queue = turn.catch(() => {});
+    if (!signal) return turn;
+
+    // ...and stops waiting at once, even before its turn
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener("abort", onAbort, { once: true });
+      turn
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener("abort", onAbort));
+    });
+  }
+}
+
+export const bandwidthLimiter = new BandwidthLimiter();
@@ -0,0 +1,110 @@
+// Checksum helpers for verifying uploaded bytes
+import SparkMD5 from "spark-md5";
+import { createSHA256 } from "hash-wasm";
+import { ChecksumMismatchError } from "./errors";
+
+const hexToBytes = (hex) =>
+  new Uint8Array(hex.match(/.{2}/g).map((byte) => parseInt(byte, 16)));
+
+const bytesToBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+const concatBytes = (arrays) => {
+  const result = new Uint8Array(
+    arrays.reduce((total, bytes) => total + bytes.length, 0)
+  );
+  let offset = 0;
+  arrays.forEach((bytes) => {
+    result.set(bytes, offset);
+    offset += bytes.length;
+  });
+  return result;
+};
+
+// Bytes read at a time, so blobs of any size can be hashed
+const READ_CHUNK_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Hash a blob on the current thread, reading it in slices
+ * @param {Blob} blob - The data to hash
+ * @param {string} algorithm - "md5" or "sha256" (MD5 is always computed for ETag checks)
+ * @returns {Promise<Object>} - { md5, md5Hex, sha256? } with base64 digests
+ */
+export const hashBlob = async (blob, algorithm = "md5") => {
+  const md5 = new SparkMD5.ArrayBuffer();
+  // WebCrypto cannot hash incrementally
+  const sha256 = algorithm === "sha256" ? await createSHA256() : null;
+  sha256?.init();
+
+  for (let start = 0; start < blob.size; start += READ_CHUNK_SIZE) {
+    const buffer = await blob
+      .slice(start, start + READ_CHUNK_SIZE)
+      .arrayBuffer();
+    md5.append(buffer);
+    sha256?.update(new Uint8Array(buffer));
+  }
+
+  const md5Hex = md5.end();
+  const checksums = { md5Hex, md5: bytesToBase64(hexToBytes(md5Hex)) };
+  if (sha256) {
+    checksums.sha256 = bytesToBase64(sha256.digest("binary"));
+  }
+
+  return checksums;
+};
+
+/**
+ * Build the S3 request headers that make S3 verify the uploaded bytes
+ * @param {Object} checksums - Checksums from computeChecksums
+ * @param {string} algorithm - "md5" or "sha256"
+ * @returns {Object} - Request headers
+ */
+export const getChecksumHeaders = (checksums, algorithm = "md5") => {
+  if (algorithm === "sha256") {
+    return { "x-amz-checksum-sha256": checksums.sha256 };
+  }
+  return { "Content-MD5": checksums.md5 };
+};
+
+/**
+ * Compute the composite checksums S3 reports for a multipart upload
+ * The ETag is the MD5 of the concatenated binary part MD5s followed by
+ * "-<part count>"; the SHA-256 checksum is built the same way.
+ * @param {Array<Object>} partChecksums - Part checksums sorted by part number
+ * @returns {Promise<Object>} - { etag, sha256? }
+ */
+export const getCompositeChecksums = async (partChecksums) => {
+  const suffix = `-${partChecksums.length}`;
+  const md5Bytes = concatBytes(
+    partChecksums.map((checksums) => hexToBytes(checksums.md5Hex))
+  );
+  const composite = {
+    etag: SparkMD5.ArrayBuffer.hash(md5Bytes.buffer) + suffix,
+  };
+
+  if (partChecksums.every((checksums) => checksums.sha256)) {
+    const shaBytes = concatBytes(
+      partChecksums.map((checksums) =>
+        Uint8Array.from(atob(checksums.sha256), (c) => c.charCodeAt(0))
+      )
+    );
+    const digest = await crypto.subtle.digest("SHA-256", shaBytes);
+    composite.sha256 = bytesToBase64(new Uint8Array(digest)) + suffix;
+  }
+
+  return composite;
+};
+
+/**
+ * Check an ETag returned by the backend against the expected one
+ * @param {string} expected - ETag computed from the selected file
+ * @param {string|undefined} actual - ETag returned by the backend, if any
+ * @throws {ChecksumMismatchError} - If both are known and differ
+ */
+export const verifyETag = (expected, actual) => {
+  if (!actual) return;
+
+  const normalizedActual = actual.replace(/"/g, "").toLowerCase();
+  if (normalizedActual !== expected.toLowerCase()) {
+    throw new ChecksumMismatchError(expected, normalizedActual);
+  }
+};
@@ -0,0 +1,166 @@
+// Container and codec detection from the file's own bytes
+import { sniffFileFormats } from "./fileValidation";
+
+// Largest moov box read to find codecs; bigger indexes are skipped
+const MAX_MOOV_BYTES = 32 * 1024 * 1024;
+
+// Bytes of a Matroska file scanned for CodecID strings (the track list
+// comes before the first cluster)
+const MATROSKA_HEADER_BYTES = 1024 * 1024;
+
+// MP4/QuickTime sample entry formats
+const MP4_CODECS = {
+  avc1: "H.264",
+  avc3: "H.264",
+  hvc1: "H.265",
+  hev1: "H.265",
+  av01: "AV1",
+  vp09: "VP9",
+  mp4v: "MPEG-4 Visual",
+  apch: "ProRes",
+  apcn: "ProRes",
+  apcs: "ProRes",
+  apco: "ProRes",
+  ap4h: "ProRes",
+  mp4a: "AAC",
+  "ac-3": "AC-3",
+  "ec-3": "E-AC-3",
+  Opus: "Opus",
+  fLaC: "FLAC",
+  lpcm: "PCM",
+  sowt: "PCM",
+  twos: "PCM",
+};
+
+// Matroska/WebM CodecID values
+const MATROSKA_CODECS = {
+  "V_MPEG4/ISO/AVC": "H.264",
+  "V_MPEGH/ISO/HEVC": "H.265",
+  V_VP8: "VP8",
+  V_VP9: "VP9",
+  V_AV1: "AV1",
+  A_OPUS: "Opus",
+  A_VORBIS: "Vorbis",
+  A_AAC: "AAC",
+  A_AC3: "AC-3",
+  A_EAC3: "E-AC-3",
+  A_FLAC: "FLAC",
+};
+
+// Longest IDs first so e.g. A_EAC3 is not read as A_AC3
+const MATROSKA_CODEC_PATTERN = new RegExp(
+  Object.keys(MATROSKA_CODECS)
+    .sort((a, b) => b.length - a.length)
+    .join("|"),
+  "g"
+);
+
+const AUDIO_CODECS = ["AAC", "AC-3", "E-AC-3", "Opus", "Vorbis", "FLAC", "PCM"];
+
+const readBytes = async (file, start, end) =>
+  new Uint8Array(await file.slice(start, end).arrayBuffer());
+
+// Single-byte decoding keeps string indexes equal to byte offsets
+const latin1 = new TextDecoder("latin1");
+
+const ascii = (bytes, start, end) => latin1.decode(bytes.subarray(start, end));
+
+/**
+ * Find a top-level MP4 box by walking the box headers
+ * @param {File} file - MP4 or QuickTime file
+ * @param {string} type - Four-character box type
+ * @returns {Promise<Object|null>} - { offset, size } of the box, or null
+ */
+const findMp4Box = async (file, type) => {
+  let offset = 0;
+
+  while (offset + 8 <= file.size) {
+    const header = await readBytes(file, offset, offset + 16);
+    const view = new DataView(header.buffer);
+    let size = view.getUint32(0);
+    if (size === 1 && header.length >= 16) {
+      // 64-bit size follows the type
+      size = view.getUint32(8) * 2 ** 32 + view.getUint32(12);
+    } else if (size === 0) {
+      size = file.size - offset;
+    }
+
+    if (ascii(header, 4, 8) === type) {
+      return { offset, size };
+    }
+    if (size < 8) return null;
+    offset += size;
+  }
+
+  return null;
+};
+
+/**
+ * Read the sample entry formats of every track in an MP4 file
+ * @param {File} file - MP4 or QuickTime file
+ * @returns {Promise<Array<string>>} - Known codec names in track order
+ */
+const readMp4Codecs = async (file) => {
+  const moov = await findMp4Box(file, "moov");
+  if (!moov || moov.size > MAX_MOOV_BYTES) return [];
+
+  const text = latin1.decode(
+    await readBytes(file, moov.offset, moov.offset + moov.size)
+  );
+  const codecs = [];
+  // stsd: type, version/flags, entry count, entry size, entry format
+  for (
+    let i = text.indexOf("stsd");
+    i !== -1 && i + 20 <= text.length;
+    i = text.indexOf("stsd", i + 4)
+  ) {
+    // Other tracks (timecode, subtitles) have formats not listed here
+    const codec = MP4_CODECS[text.slice(i + 16, i + 20)];
+    if (codec) {
+      codecs.push(codec);
+    }
+  }
+  return codecs;
+};
+
+/**
+ * Read the CodecID of every track in a Matroska or WebM file
+ * @param {File} file - Matroska or WebM file
+ * @returns {Promise<Array<string>>} - Codec names in track order
+ */
+const readMatroskaCodecs = async (file) => {
+  const header = latin1.decode(await readBytes(file, 0, MATROSKA_HEADER_BYTES));
+  return (header.match(MATROSKA_CODEC_PATTERN) || []).map(
+    (codecId) => MATROSKA_CODECS[codecId]
+  );
+};
+
+/**
+ * Detect the container and the video and audio codecs of a file
+ * Codecs are read for MP4/QuickTime and Matroska/WebM only.
+ * @param {File} file - The video file
+ * @returns {Promise<Object>} - { container, videoCodec, audioCodec }, with
+ *   null for anything that could not be detected
+ */
+export const readContainerInfo = async (file) => {
+  const info = { container: null, videoCodec: null, audioCodec: null };
+
+  try {
+    const [format] = await sniffFileFormats(file);
+    info.container = format || null;
+
+    const codecs =
+      format === "mp4"
+        ? await readMp4Codecs(file)
+        : format === "matroska"
+        ? await readMatroskaCodecs(file)
+        : [];
+    const isAudio = (codec) => AUDIO_CODECS.includes(codec);
+    info.videoCodec = codecs.find((codec) => !isAudio(codec)) || null;
+    info.audioCodec = codecs.find(isAudio) || null;
+  } catch (error) {
+    console.warn("Could not read container info:", error);
+  }
+
+  return info;
+};
@@ -0,0 +1,33 @@
+// Streamed SHA-256 of whole files, used to find files uploaded before
+import { createSHA256 } from "hash-wasm";
+
+// Bytes read from the file at a time, so files of any size fit in memory
+const READ_CHUNK_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Hash a whole file on the current thread, reading it in slices
+ * WebCrypto cannot hash incrementally, so this uses a WASM SHA-256.
+ * @param {Blob} file - The file to hash
+ * @param {Object} options - Hashing options (optional)
+ * @param {Function} options.onProgress - Called with the bytes hashed so far
+ * @param {Function} options.isCancelled - Checked before each slice; return
+ *   true to stop
+ * @param {Function} options.waitUntilResumed - Awaited before each slice,
+ *   so hashing stops while the upload is paused (optional)
+ * @returns {Promise<string|null>} - Hex SHA-256, or null if cancelled
+ */
+export const hashFileContent = async (file, options = {}) => {
+  const hasher = await createSHA256();
+  hasher.init();
+
+  for (let start = 0; start < file.size; start += READ_CHUNK_SIZE) {
+    await options.waitUntilResumed?.();
+    if (options.isCancelled?.()) return null;
+
+    const end = Math.min(start + READ_CHUNK_SIZE, file.size);
+    hasher.update(new Uint8Array(await file.slice(start, end).arrayBuffer()));
+    options.onProgress?.(end);
+  }
+
+  return hasher.digest("hex");
+};
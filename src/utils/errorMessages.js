@@ -0,0 +1,95 @@
+// User-facing messages for typed errors
+import {
+  AbortError,
+  ChecksumMismatchError,
+  HttpError,
+  NetworkError,
+  S3Error,
+  ValidationError,
+} from "./errors";
+
+// Object storage error codes, with what the user can do about them
+const STORAGE_MESSAGES = {
+  AccessDenied:
+    "Storage refused the upload. The upload link may have expired; please try again.",
+  AuthenticationFailed:
+    "Storage refused the upload. The upload link may have expired; please try again.",
+  SignatureDoesNotMatch:
+    "Storage rejected the upload signature. The server's storage credentials may be misconfigured; please contact support.",
+  RequestTimeTooSkewed:
+    "Your computer's clock is out of sync. Set it to update automatically, then try again.",
+  ExpiredToken: "The upload link expired. Please try again.",
+  EntityTooLarge: "The file is larger than storage allows for one upload.",
+  EntityTooSmall:
+    "A part of the file was too small for storage. Please try again.",
+  NoSuchUpload:
+    "The unfinished upload no longer exists in storage. Please upload the file again.",
+  BadDigest: "The file was corrupted on the way to storage. Please try again.",
+  InvalidDigest:
+    "The file was corrupted on the way to storage. Please try again.",
+  SlowDown: "Storage is busy. Please try again in a minute.",
+  RequestTimeout:
+    "Storage timed out waiting for data. Please check your connection and try again.",
+};
+
+// Backend error codes
+const API_MESSAGES = {
+  INVALID_FILE_TYPE: "Invalid file type. Please select a video file.",
+  FILE_TOO_LARGE: "The file is larger than the server allows.",
+};
+
+// HTTP statuses without a more specific code
+const STATUS_MESSAGES = {
+  401: "Your session has expired. Please sign in again.",
+  403: "You do not have permission to do this.",
+  404: "The upload was not found. It may have been deleted.",
+  413: "The file is larger than the server allows.",
+  415: "Invalid file type. Please select a video file.",
+  429: "Too many requests. Please wait a minute and try again.",
+};
+
+const OTHER_MESSAGES = {
+  MissingETag:
+    "Storage did not return an ETag. Its CORS configuration must expose the ETag header.",
+  IncompleteChunk:
+    "Storage did not keep all of the data sent. Please try again.",
+  TranscodeUnsupported:
+    "This browser cannot compress videos with the selected preset. Turn compression off or choose another preset.",
+  TranscodeFailed:
+    "The video could not be compressed. Turn compression off to upload the original.",
+};
+
+/**
+ * Turn an error into a message that tells the user what to do
+ * @param {Error} error - Error thrown by an API or upload call
+ * @returns {string} - Message to show to the user
+ */
+export const getErrorMessage = (error) => {
+  if (error instanceof ValidationError) {
+    return error.message;
+  }
+  if (error instanceof AbortError || error?.name === "AbortError") {
+    return "The upload was cancelled.";
+  }
+  if (error instanceof ChecksumMismatchError) {
+    return "Integrity check failed. The stored file does not match the selected file. Please upload it again.";
+  }
+  if (error instanceof NetworkError) {
+    return error.code === "Timeout"
+      ? "The request timed out. Please check your connection and try again."
+      : "Network error. Please check your connection and try again.";
+  }
+  if (error instanceof S3Error && STORAGE_MESSAGES[error.code]) {
+    return STORAGE_MESSAGES[error.code];
+  }
+  if (error instanceof HttpError) {
+    return (
+      API_MESSAGES[error.code] ||
+      STATUS_MESSAGES[error.status] ||
+      (error.status >= 500
+        ? "The server ran into a problem. Please try again later."
+        : error.message)
+    );
+  }
+  return OTHER_MESSAGES[error?.code] || error?.message || "Unknown error.";
+};
@@ -0,0 +1,164 @@
+// Typed errors for API, storage and validation failures
+
+/**
+ * Base class for errors raised by the uploader
+ * `code` identifies the cause for the UI; `retryable` marks errors that
+ * are worth retrying whatever their HTTP status.
+ */
+export class UploadError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error details (optional)
+   * @param {string} options.code - Machine-readable cause
+   * @param {boolean} options.retryable - Retry even if the status says not to
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = "UploadError";
+    this.code = options.code || null;
+    this.retryable = options.retryable ?? false;
+  }
+}
+
+/**
+ * The request never got a response (offline, DNS, CORS, timeout)
+ * Carries status 0 so retry decisions treat it like any failed request.
+ */
+export class NetworkError extends UploadError {
+  constructor(message, options = {}) {
+    super(message, { code: "NetworkError", retryable: true, ...options });
+    this.name = "NetworkError";
+    this.status = 0;
+  }
+}
+
+/**
+ * The server answered with an error status
+ */
+export class HttpError extends UploadError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error details
+   * @param {number} options.status - HTTP status
+   * @param {string} options.code - Error code from the response body (optional)
+   * @param {any} options.body - Parsed or raw response body (optional)
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "HttpError";
+    this.status = options.status;
+    this.body = options.body ?? null;
+  }
+}
+
+// Storage error codes that clear up on their own
+const RETRYABLE_STORAGE_CODES = [
+  "RequestTimeout",
+  "SlowDown",
+  "InternalError",
+  "ServiceUnavailable",
+  "OperationTimedOut",
+  "ServerBusy",
+];
+
+const readXmlTag = (xml, tag) =>
+  new RegExp(`<${tag}>([^<]*)</${tag}>`).exec(xml)?.[1] || null;
+
+/**
+ * Object storage rejected a request
+ * Parsed from the XML error body S3 returns (GCS's XML API and Azure Blob
+ * Storage use the same <Error><Code> layout), e.g. SignatureDoesNotMatch
+ * or RequestTimeTooSkewed.
+ */
+export class S3Error extends HttpError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - HttpError options plus `requestId`
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = "S3Error";
+    this.requestId = options.requestId ?? null;
+  }
+
+  /**
+   * Check if a response body is a storage XML error
+   * @param {string} body - Response body
+   * @returns {boolean} - True if the body has an <Error><Code> element
+   */
+  static isErrorBody(body) {
+    return typeof body === "string" && /<Error>[\s\S]*<Code>/.test(body);
+  }
+
+  /**
+   * Build an S3Error from an XML error response
+   * @param {number} status - HTTP status
+   * @param {string} body - XML error body
+   * @param {string} label - What was being sent, for the message
+   * @returns {S3Error} - The parsed error
+   */
+  static fromResponse(status, body, label = "Upload") {
+    const code = readXmlTag(body, "Code");
+    const detail = readXmlTag(body, "Message");
+
+    return new S3Error(
+      `${label} failed with status ${status}: ${code}${
+        detail ? ` (${detail})` : ""
+      }`,
+      {
+        status,
+        code,
+        body,
+        requestId: readXmlTag(body, "RequestId"),
+        retryable: RETRYABLE_STORAGE_CODES.includes(code),
+      }
+    );
+  }
+}
+
+/**
+ * A file was rejected by the validation policy before uploading
+ */
+export class ValidationError extends UploadError {
+  /**
+   * @param {string} message - Message for the user
+   * @param {string} rule - Policy rule that failed (e.g. "maxSize")
+   */
+  constructor(message, rule) {
+    super(message, { code: rule });
+    this.name = "ValidationError";
+    this.rule = rule;
+  }
+}
+
+/**
+ * The stored object does not match the selected file
+ */
+export class ChecksumMismatchError extends UploadError {
+  /**
+   * @param {string} expected - ETag computed from the selected file
+   * @param {string} actual - ETag reported by storage
+   */
+  constructor(expected, actual) {
+    super(
+      `Checksum mismatch: expected ETag ${expected} but S3 reported ${actual}`,
+      { code: "ChecksumMismatch" }
+    );
+    this.name = "ChecksumMismatchError";
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * The upload was cancelled
+ * Named "AbortError" like the DOMException fetch and AbortSignal throw, so
+ * both are recognised the same way.
+ */
+export class AbortError extends UploadError {
+  constructor(message = "Upload was cancelled") {
+    super(message, { code: "Aborted" });
+    this.name = "AbortError";
+  }
+}
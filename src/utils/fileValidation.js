@@ -0,0 +1,207 @@
+// File validation against a declarative upload policy
+import { formatDuration, formatFileSize } from "./format";
+import { readVideoDuration } from "./videoMetadata";
+import { ValidationError } from "./errors";
+
+// Bytes read from the start of a file for magic-byte sniffing (MPEG-TS
+// needs the sync byte of the second 188-byte packet)
+const HEADER_BYTES = 512;
+
+const ascii = (bytes, start, end) =>
+  String.fromCharCode(...bytes.subarray(start, end));
+
+const startsWith = (bytes, signature, offset = 0) =>
+  signature.every((byte, i) => bytes[offset + i] === byte);
+
+// Container formats recognised by their leading bytes
+const SIGNATURES = {
+  // ISO base media (MP4, M4V, 3GP) and QuickTime share the box layout; old
+  // QuickTime files may start with a box other than ftyp
+  mp4: (bytes) =>
+    ["ftyp", "moov", "mdat", "wide", "free", "skip"].includes(
+      ascii(bytes, 4, 8)
+    ),
+  // EBML header, used by both Matroska and WebM
+  matroska: (bytes) => startsWith(bytes, [0x1a, 0x45, 0xdf, 0xa3]),
+  avi: (bytes) =>
+    ascii(bytes, 0, 4) === "RIFF" && ascii(bytes, 8, 12) === "AVI ",
+  mpegts: (bytes) => bytes[0] === 0x47 && bytes[188] === 0x47,
+  mpeg: (bytes) =>
+    startsWith(bytes, [0x00, 0x00, 0x01, 0xba]) ||
+    startsWith(bytes, [0x00, 0x00, 0x01, 0xb3]),
+  flv: (bytes) => ascii(bytes, 0, 3) === "FLV",
+  ogg: (bytes) => ascii(bytes, 0, 4) === "OggS",
+  asf: (bytes) =>
+    startsWith(bytes, [0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11]),
+};
+
+/**
+ * Detect the container format of a file from its first bytes
+ * @param {Blob} file - The file to sniff
+ * @returns {Promise<Array<string>>} - Names of matching SIGNATURES entries
+ */
+export const sniffFileFormats = async (file) => {
+  const bytes = new Uint8Array(await file.slice(0, HEADER_BYTES).arrayBuffer());
+  return Object.keys(SIGNATURES).filter((format) => SIGNATURES[format](bytes));
+};
+
+const getExtension = (fileName) => {
+  const dot = fileName.lastIndexOf(".");
+  return dot > 0 ? fileName.slice(dot + 1).toLowerCase() : "";
+};
+
+const matchesMimeType = (mimeType, pattern) => {
+  if (pattern === "*/*") return true;
+  if (pattern.endsWith("/*")) {
+    return mimeType.startsWith(pattern.slice(0, -1));
+  }
+  return mimeType === pattern;
+};
+
+const getTypeName = (fileType) =>
+  fileType.name ||
+  [...(fileType.mimeTypes || []), ...(fileType.extensions || [])].join(", ");
+
+/**
+ * Find the policy entry that applies to a file
+ * Files are matched by MIME type; files the browser reports no type for
+ * (common for e.g. .mkv) are matched by extension instead.
+ * @param {File} file - The file to check
+ * @param {Object} policy - Validation policy
+ * @returns {Object|null} - Matching policy entry, or null
+ */
+export const findFileType = (file, policy) => {
+  const extension = getExtension(file.name);
+
+  return (
+    policy.types.find((fileType) =>
+      file.type
+        ? (fileType.mimeTypes || []).some((pattern) =>
+            matchesMimeType(file.type, pattern)
+          )
+        : (fileType.extensions || []).includes(extension)
+    ) || null
+  );
+};
+
+/**
+ * Build the `accept` attribute of a file input from a policy
+ * @param {Object} policy - Validation policy
+ * @returns {string|undefined} - Accepted types, or undefined to accept anything
+ */
+export const getAcceptAttribute = (policy) => {
+  const accepted = policy.types.flatMap((fileType) => [
+    ...(fileType.mimeTypes || []),
+    ...(fileType.extensions || []).map((extension) => `.${extension}`),
+  ]);
+  return accepted.includes("*/*") ? undefined : accepted.join(",");
+};
+
+/**
+ * Create a policy violation, preferring the policy's message for the rule
+ * @param {string} rule - Rule that failed
+ * @param {Object|null} fileType - Policy entry that was checked (if any)
+ * @param {string} defaultMessage - Message used if the policy has none
+ * @returns {ValidationError} - Error with the failed `rule`
+ */
+const createViolation = (rule, fileType, defaultMessage) =>
+  new ValidationError(fileType?.messages?.[rule] || defaultMessage, rule);
+
+/**
+ * Check a file against an upload policy
+ *
+ * A policy is `{ types: [...] }`, where each type entry can have:
+ * name, mimeTypes (patterns such as "video/*"), extensions (without dots),
+ * signatures (SIGNATURES names the file header must match), minSize and
+ * maxSize (bytes), maxDuration (seconds) and messages (per-rule overrides).
+ * Rules are checked from cheapest to most expensive and the first failure
+ * is returned.
+ * @param {File} file - The file to check
+ * @param {Object} policy - Validation policy
+ * @returns {Promise<ValidationError|null>} - Error for the failed rule, or
+ *   null if the file is valid
+ */
+export const validateFile = async (file, policy) => {
+  const fileType = findFileType(file, policy);
+  if (!fileType) {
+    return createViolation(
+      "type",
+      null,
+      `"${file.name}" is not an allowed file type. Allowed: ${policy.types
+        .map(getTypeName)
+        .join("; ")}.`
+    );
+  }
+
+  const typeName = getTypeName(fileType);
+  const extension = getExtension(file.name);
+  if (fileType.extensions && !fileType.extensions.includes(extension)) {
+    return createViolation(
+      "extension",
+      fileType,
+      `"${file.name}" must have one of these extensions: ${fileType.extensions
+        .map((allowed) => `.${allowed}`)
+        .join(", ")}.`
+    );
+  }
+
+  if (fileType.minSize && file.size < fileType.minSize) {
+    return createViolation(
+      "minSize",
+      fileType,
+      `File size ${formatFileSize(
+        file.size
+      )} is below the minimum of ${formatFileSize(
+        fileType.minSize
+      )} for ${typeName}.`
+    );
+  }
+
+  if (fileType.maxSize && file.size > fileType.maxSize) {
+    return createViolation(
+      "maxSize",
+      fileType,
+      `File size ${formatFileSize(
+        file.size
+      )} exceeds the maximum allowed size of ${formatFileSize(
+        fileType.maxSize
+      )} for ${typeName}. Please select a smaller file.`
+    );
+  }
+
+  if (fileType.signatures?.length) {
+    let formats = [];
+    try {
+      formats = await sniffFileFormats(file);
+    } catch (error) {
+      console.warn("Could not read file header:", error);
+    }
+
+    if (!formats.some((format) => fileType.signatures.includes(format))) {
+      return createViolation(
+        "signature",
+        fileType,
+        `"${file.name}" does not look like a valid ${typeName} file.`
+      );
+    }
+  }
+
+  if (fileType.maxDuration) {
+    const duration = await readVideoDuration(file);
+    if (duration === null) {
+      // The browser cannot decode every container, so an unreadable
+      // duration is left for the backend to check
+      console.warn(`Could not read the duration of "${file.name}"`);
+    } else if (duration > fileType.maxDuration) {
+      return createViolation(
+        "maxDuration",
+        fileType,
+        `Video is ${formatDuration(
+          duration
+        )} long; the maximum is ${formatDuration(fileType.maxDuration)}.`
+      );
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,177 @@
+// Collect files from dropped or chosen folders, keeping their paths
+// relative to the folder so the backend can use them as key prefixes
+
+// Files skipped by default: OS metadata and camera/editor sidecar files
+export const DEFAULT_EXCLUDE = [
+  ".DS_Store",
+  "._*",
+  "Thumbs.db",
+  "desktop.ini",
+  ".Spotlight-V100",
+  ".Trashes",
+  "*.THM",
+  "*.LRV",
+  "*.XMP",
+  "*.AAE",
+  "*.SRT",
+];
+
+/**
+ * Turn a glob pattern into a regular expression
+ * `**` matches across folders, `*` and `?` within one name; matching is
+ * case-insensitive since camera cards mix cases freely.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} - Expression matching the whole path or name
+ */
+const globToRegExp = (pattern) => {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      source += ".*";
+      i++;
+      if (pattern[i + 1] === "/") i++;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, "i");
+};
+
+/**
+ * Check a path against a glob pattern
+ * Patterns without a slash are matched against each name in the path, so
+ * ".DS_Store" or ".git" match at any depth; others against the whole path.
+ * @param {RegExp} regExp - Compiled pattern
+ * @param {boolean} anyName - Match single names instead of the whole path
+ * @param {string} path - Relative path, "/"-separated
+ * @returns {boolean} - True if the pattern matches
+ */
+const matchesPattern = (regExp, anyName, path) =>
+  anyName
+    ? path.split("/").some((name) => regExp.test(name))
+    : regExp.test(path);
+
+/**
+ * Build a filter for relative paths
+ * @param {Object} options - Filter options (optional)
+ * @param {Array<string>} options.include - Glob patterns a file must match
+ *   one of, e.g. ["*.mp4", "*.mov"]; all files when empty
+ * @param {Array<string>} options.exclude - Glob patterns of files to skip
+ *   (default: DEFAULT_EXCLUDE)
+ * @returns {Function} - (relativePath) => boolean, true to keep the file
+ */
+export const createPathFilter = ({
+  include = [],
+  exclude = DEFAULT_EXCLUDE,
+} = {}) => {
+  const compile = (pattern) => [globToRegExp(pattern), !pattern.includes("/")];
+  const includes = include.map(compile);
+  const excludes = exclude.map(compile);
+
+  return (relativePath) =>
+    (includes.length === 0 ||
+      includes.some(([regExp, anyName]) =>
+        matchesPattern(regExp, anyName, relativePath)
+      )) &&
+    !excludes.some(([regExp, anyName]) =>
+      matchesPattern(regExp, anyName, relativePath)
+    );
+};
+
+const readFile = (fileEntry) =>
+  new Promise((resolve, reject) => fileEntry.file(resolve, reject));
+
+/**
+ * List a folder; readEntries returns at most 100 entries per call, so it
+ * is called until it returns none
+ * @param {FileSystemDirectoryEntry} directoryEntry - The folder
+ * @returns {Promise<Array<FileSystemEntry>>} - Its files and subfolders
+ */
+const readAllEntries = async (directoryEntry) => {
+  const reader = directoryEntry.createReader();
+  const entries = [];
+  for (;;) {
+    const batch = await new Promise((resolve, reject) =>
+      reader.readEntries(resolve, reject)
+    );
+    if (batch.length === 0) return entries;
+    entries.push(...batch);
+  }
+};
+
+/**
+ * Walk a dropped entry and its subfolders
+ * @param {FileSystemEntry} entry - A dropped file or folder
+ * @param {boolean} inFolder - True below a dropped folder
+ * @returns {Promise<Array<Object>>} - { file, relativePath }; relativePath is
+ *   null for loose files
+ */
+const walkEntry = async (entry, inFolder) => {
+  if (entry.isFile) {
+    const file = await readFile(entry);
+    return [
+      {
+        file,
+        relativePath: inFolder ? entry.fullPath.replace(/^\//, "") : null,
+      },
+    ];
+  }
+
+  const children = await readAllEntries(entry);
+  const nested = [];
+  // One folder at a time keeps the queue in the folder's order
+  for (const child of children) {
+    nested.push(...(await walkEntry(child, true)));
+  }
+  return nested;
+};
+
+/**
+ * Collect the files of a drop, descending into dropped folders
+ * Must be called from the drop handler itself: the browser empties
+ * `dataTransfer` once the event has been handled.
+ * @param {DataTransfer} dataTransfer - The drop event's data
+ * @param {Function} filter - Path filter from createPathFilter (optional)
+ * @returns {Promise<Array<Object>>} - { file, relativePath } of the kept files
+ */
+export const collectDroppedFiles = async (
+  dataTransfer,
+  filter = createPathFilter()
+) => {
+  const items = Array.from(dataTransfer.items || []);
+  const entries =
+    items.length > 0 && items.every((item) => item.webkitGetAsEntry)
+      ? items
+          .filter((item) => item.kind === "file")
+          .map((item) => item.webkitGetAsEntry())
+          .filter(Boolean)
+      : null;
+
+  if (!entries) {
+    return collectChosenFiles(dataTransfer.files, filter);
+  }
+
+  const collected = [];
+  for (const entry of entries) {
+    collected.push(...(await walkEntry(entry, entry.isDirectory)));
+  }
+  return collected.filter(({ file, relativePath }) =>
+    filter(relativePath ?? file.name)
+  );
+};
+
+/**
+ * Collect the files of a file input, including `webkitdirectory` inputs
+ * @param {FileList|Array<File>} files - The input's files
+ * @param {Function} filter - Path filter from createPathFilter (optional)
+ * @returns {Array<Object>} - { file, relativePath } of the kept files
+ */
+export const collectChosenFiles = (files, filter = createPathFilter()) =>
+  Array.from(files)
+    .map((file) => ({ file, relativePath: file.webkitRelativePath || null }))
+    .filter(({ file, relativePath }) => filter(relativePath ?? file.name));
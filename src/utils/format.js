@@ -0,0 +1,86 @@
+// Formatting helpers for display
+
+/**
+ * Format a byte count as KB, MB or GB
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Human-readable size, e.g. "1.2 GB"
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  }
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+/**
+ * Format a transfer speed
+ * @param {number} bytesPerSecond - Speed in bytes per second
+ * @returns {string} - Human-readable speed, e.g. "42 MB/s"
+ */
+export const formatSpeed = (bytesPerSecond) => {
+  if (bytesPerSecond >= 1024 * 1024) {
+    return `${Math.round(bytesPerSecond / (1024 * 1024))} MB/s`;
+  }
+  return `${Math.round(bytesPerSecond / 1024)} KB/s`;
+};
+
+/**
+ * Format a duration as a short "time left" value
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - e.g. "45s", "3m", "1h 20m"
+ */
+export const formatDuration = (seconds) => {
+  if (seconds < 60) {
+    return `${Math.ceil(seconds)}s`;
+  }
+  if (seconds < 3600) {
+    return `${Math.ceil(seconds / 60)}m`;
+  }
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+};
+
+/**
+ * Format a media duration as a clock time
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - e.g. "0:45", "12:03", "1:20:07"
+ */
+export const formatTimecode = (seconds) => {
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}`
+    : `${minutes}:${secs}`;
+};
+
+/**
+ * Format upload telemetry, e.g. "1.2 GB of 8.4 GB · 42 MB/s · 3m left"
+ * @param {Object} transfer - { loaded, total, speed, eta }
+ * @returns {string} - Progress summary
+ */
+export const formatTransfer = ({ loaded, total, speed, eta }) => {
+  const parts = [`${formatFileSize(loaded)} of ${formatFileSize(total)}`];
+  if (speed > 0) {
+    parts.push(formatSpeed(speed));
+  }
+  if (eta !== null && eta !== undefined) {
+    parts.push(`${formatDuration(eta)} left`);
+  }
+  return parts.join(" · ");
+};
+
+/**
+ * Format a timestamp as a local date and time
+ * @param {string|number} value - ISO date string or epoch milliseconds
+ * @returns {string} - Localized date, or "-" if missing or invalid
+ */
+export const formatDate = (value) => {
+  const date = new Date(value);
+  return value && !isNaN(date) ? date.toLocaleString() : "-";
+};
@@ -0,0 +1,94 @@
+// Tracks whether the user has stopped using the page
+
+// Time without input after which the tab counts as idle
+export const IDLE_AFTER_MS = 60 * 1000;
+
+// Input that marks the user as active
+const ACTIVITY_EVENTS = [
+  "pointerdown",
+  "pointermove",
+  "keydown",
+  "wheel",
+  "touchstart",
+];
+
+let idle = false;
+let lastActivity = 0;
+let timer = null;
+const listeners = new Set();
+
+const setIdle = (value) => {
+  if (value === idle) return;
+  idle = value;
+  listeners.forEach((listener) => listener());
+};
+
+// Fires IDLE_AFTER_MS after the last input; input in between moves it on
+const checkIdle = () => {
+  const remaining = lastActivity + IDLE_AFTER_MS - Date.now();
+  if (remaining > 0) {
+    timer = setTimeout(checkIdle, remaining);
+    return;
+  }
+  timer = null;
+  setIdle(true);
+};
+
+const onActivity = () => {
+  lastActivity = Date.now();
+  if (document.hidden) return;
+
+  setIdle(false);
+  timer ??= setTimeout(checkIdle, IDLE_AFTER_MS);
+};
+
+const onVisibilityChange = () => {
+  if (document.hidden) {
+    setIdle(true);
+  } else {
+    onActivity();
+  }
+};
+
+const start = () => {
+  ACTIVITY_EVENTS.forEach((type) =>
+    window.addEventListener(type, onActivity, { passive: true })
+  );
+  document.addEventListener("visibilitychange", onVisibilityChange);
+  lastActivity = Date.now();
+  idle = document.hidden;
+  if (!idle) timer = setTimeout(checkIdle, IDLE_AFTER_MS);
+};
+
+const stop = () => {
+  ACTIVITY_EVENTS.forEach((type) =>
+    window.removeEventListener(type, onActivity)
+  );
+  document.removeEventListener("visibilitychange", onVisibilityChange);
+  clearTimeout(timer);
+  timer = null;
+};
+
+/**
+ * Idle state of the tab: idle while it is hidden, or after IDLE_AFTER_MS
+ * without input. Listens for input only while it has subscribers.
+ */
+export const idleMonitor = {
+  isIdle() {
+    return idle;
+  },
+
+  /**
+   * Listen for idle changes
+   * @param {Function} listener - Called after the tab becomes idle or active
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    if (listeners.size === 0) start();
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0) stop();
+    };
+  },
+};
@@ -0,0 +1,98 @@
+// Multipart part size selection within S3's limits
+import { BURST_SECONDS } from "./bandwidthLimiter";
+
+const MB = 1024 * 1024;
+
+// S3 multipart limits
+export const S3_MIN_PART_SIZE = 5 * MB;
+export const S3_MAX_PART_SIZE = 5 * 1024 * MB;
+export const S3_MAX_PARTS = 10000;
+
+// Aim for each part to take about this long on one connection, so a failed
+// part costs little to retry but parts are not so small that request
+// overhead dominates
+const TARGET_PART_SECONDS = 30;
+
+// Part size used before any throughput has been measured
+const DEFAULT_PART_SIZE = 16 * MB;
+
+const THROUGHPUT_STORAGE_KEY = "uploader:throughput";
+
+/**
+ * Get the upload throughput measured in earlier uploads
+ * @returns {number|null} - Bytes per second, or null if never measured
+ */
+export const getMeasuredThroughput = () => {
+  try {
+    const value = Number(localStorage.getItem(THROUGHPUT_STORAGE_KEY));
+    return value > 0 ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Record the throughput of a finished upload
+ * New measurements are blended with the previous value so one unusually
+ * fast or slow upload does not swing the next part size too far.
+ * @param {number} bytesPerSecond - Measured throughput
+ */
+export const recordThroughput = (bytesPerSecond) => {
+  if (!(bytesPerSecond > 0)) return;
+
+  const previous = getMeasuredThroughput();
+  const blended = previous
+    ? previous * 0.5 + bytesPerSecond * 0.5
+    : bytesPerSecond;
+
+  try {
+    localStorage.setItem(THROUGHPUT_STORAGE_KEY, String(Math.round(blended)));
+  } catch {
+    // Storage can be unavailable (e.g. private browsing); sizing falls back
+    // to the default
+  }
+};
+
+/**
+ * Choose a multipart part size for a file
+ * @param {number} fileSize - File size in bytes
+ * @param {Object} options - Sizing options (optional)
+ * @param {number} options.throughput - Total upload speed in bytes per second
+ * @param {number} options.concurrency - Number of parts uploaded in parallel
+ * @param {number} options.speedLimit - Upload speed cap in bytes per second
+ *   (optional)
+ * @returns {number} - Part size in bytes, rounded up to a whole MB
+ */
+export const choosePartSize = (fileSize, options = {}) => {
+  const {
+    throughput = getMeasuredThroughput(),
+    concurrency = 1,
+    speedLimit = null,
+  } = options;
+
+  // Each part gets roughly an equal share of the link; under a speed cap a
+  // part is what the limiter lets out at once, down to S3's minimum part
+  // size, which is sent as one burst under caps below 5 MB/s
+  const preferredSize = speedLimit
+    ? speedLimit * BURST_SECONDS
+    : throughput
+    ? (throughput / Math.max(1, concurrency)) * TARGET_PART_SECONDS
+    : DEFAULT_PART_SIZE;
+
+  // Parts must be large enough to stay within the part count limit
+  const minSize = Math.max(S3_MIN_PART_SIZE, fileSize / S3_MAX_PARTS);
+  const partSize = Math.min(S3_MAX_PART_SIZE, Math.max(minSize, preferredSize));
+
+  return Math.ceil(partSize / MB) * MB;
+};
+
+/**
+ * Size above which a file is uploaded in parts
+ * A single request is sent in one burst, so under a speed cap anything
+ * larger than a minimum-size part is split.
+ * @param {number} threshold - Configured multipart threshold in bytes
+ * @param {number} speedLimit - Upload speed cap in bytes per second, or null
+ * @returns {number} - Threshold in bytes
+ */
+export const getMultipartThreshold = (threshold, speedLimit) =>
+  speedLimit ? Math.min(threshold, S3_MIN_PART_SIZE) : threshold;
@@ -0,0 +1,126 @@
+// Retry helpers for network requests and S3 uploads
+
+/**
+ * Default retry policy
+ * maxAttempts includes the first try, so 6 attempts means up to 5 retries
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 6,
+  baseDelay: 1000, // 1 second
+  maxDelay: 30000, // 30 seconds
+};
+
+/**
+ * Check if a failed request is worth retrying
+ * Network errors, timeouts, throttling and 5xx responses are retryable;
+ * other 4xx responses (e.g. 400, 403) and user aborts are fatal.
+ * @param {Error} error - The error thrown by the request
+ * @returns {boolean} - True if the request should be retried
+ */
+export const isRetryableError = (error) => {
+  if (!error || error.name === "AbortError") {
+    return false;
+  }
+
+  // Typed errors can mark themselves retryable (e.g. S3's 400 RequestTimeout)
+  if (error.retryable === true) {
+    return true;
+  }
+
+  const { status } = error;
+
+  // fetch rejects with a TypeError when the network request itself fails
+  if (status === undefined) {
+    return error.name === "TypeError";
+  }
+
+  return status === 0 || status === 408 || status === 429 || status >= 500;
+};
+
+/**
+ * Compute the delay before the next attempt using exponential backoff with
+ * full jitter
+ * @param {number} retry - Retry number (1 for the first retry)
+ * @param {Object} policy - Retry policy
+ * @returns {number} - Delay in milliseconds
+ */
+export const getRetryDelay = (retry, policy = DEFAULT_RETRY_POLICY) => {
+  const exponentialDelay = policy.baseDelay * 2 ** (retry - 1);
+  return Math.round(
+    Math.random() * Math.min(policy.maxDelay, exponentialDelay)
+  );
+};
+
+/**
+ * Wait for a delay, stopping early if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Abort signal (optional)
+ * @returns {Promise<void>} - Rejects with the abort reason if aborted
+ */
+export const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Run an async operation, retrying retryable failures with backoff
+ * @param {Function} operation - Async function to run, receives the attempt number
+ * @param {Object} options - Retry options (optional)
+ * @param {Object} options.policy - Overrides for the default retry policy
+ * @param {Function} options.onRetry - Called before each retry with { retry, maxRetries, delay, error }
+ * @param {AbortSignal} options.signal - Stops retrying when aborted
+ * @param {UploadController} options.controller - Holds attempts while the
+ *   upload is paused; failures while it is paused (e.g. because the
+ *   connection dropped) do not count as retries (optional)
+ * @returns {Promise<any>} - Result of the operation
+ */
+export const withRetry = async (operation, options = {}) => {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...options.policy };
+  const maxRetries = Math.max(0, policy.maxAttempts - 1);
+  const { controller } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    options.signal?.throwIfAborted();
+    await controller?.waitUntilResumed();
+
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      // Also covers requests aborted by the pause itself
+      if (
+        controller?.paused &&
+        !options.signal?.aborted &&
+        (error?.name === "AbortError" || isRetryableError(error))
+      ) {
+        console.warn("Request failed while paused, retrying once resumed");
+        attempt--;
+        continue;
+      }
+
+      const retry = attempt;
+      if (
+        retry > maxRetries ||
+        options.signal?.aborted ||
+        !isRetryableError(error)
+      ) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(retry, policy);
+      console.warn(
+        `Request failed, retry ${retry}/${maxRetries} in ${delay}ms:`,
+        error.message
+      );
+      options.onRetry?.({ retry, maxRetries, delay, error });
+      await sleep(delay, options.signal);
+    }
+  }
+};
@@ -82,6 +82,29 @@ export const getUrlExpiryInfo = (presignedUrl) => {
   }
 };
 
+/**
+ * Check if a presigned URL expires within the given margin
+ * URLs without readable expiry params are treated as still valid, since they
+ * may come from a signer that does not use X-Amz-* params.
+ * @param {string} presignedUrl - The presigned URL to check
+ * @param {number} marginSeconds - Safety margin in seconds (default: 60)
+ * @returns {boolean} - True if the URL is expired or about to expire
+ */
+export const isPresignedUrlExpiringSoon = (
+  presignedUrl,
+  marginSeconds = 60
+) => {
+  const expiryInfo = getUrlExpiryInfo(presignedUrl);
+  if (!expiryInfo.valid) {
+    return false;
+  }
+
+  return (
+    isPresignedUrlExpired(presignedUrl) ||
+    expiryInfo.timeUntilExpiry <= marginSeconds
+  );
+};
+
 /**
  * Generate AWS CLI command to create a new presigned URL
  * @param {string} bucketName - S3 bucket name
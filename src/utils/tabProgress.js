@@ -0,0 +1,99 @@
+// Upload progress in the browser tab's title and favicon
+
+const ICON_SIZE = 32;
+
+// Title and icon of the page before any progress was shown
+let original = null;
+let iconImage = null;
+let drawToken = 0;
+
+const getIconLink = () => document.querySelector('link[rel~="icon"]');
+
+/**
+ * Load the page's own favicon so progress can be drawn over it
+ * @param {string} href - Icon URL
+ * @returns {Promise<HTMLImageElement|null>} - The image, or null if it failed
+ */
+const loadImage = (href) =>
+  new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = href;
+  });
+
+/**
+ * Draw the favicon with a progress ring around it
+ * @param {number} percent - Progress from 0 to 100
+ * @param {boolean} failed - Draw the ring in red
+ * @returns {string} - PNG data URL
+ */
+const drawProgressIcon = (percent, failed) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = ICON_SIZE;
+  canvas.height = ICON_SIZE;
+  const context = canvas.getContext("2d");
+  const center = ICON_SIZE / 2;
+  const radius = center - 2;
+
+  if (iconImage) {
+    context.drawImage(iconImage, 6, 6, ICON_SIZE - 12, ICON_SIZE - 12);
+  }
+
+  context.lineWidth = 4;
+  context.strokeStyle = "#e5e7eb";
+  context.beginPath();
+  context.arc(center, center, radius, 0, 2 * Math.PI);
+  context.stroke();
+
+  context.strokeStyle = failed ? "#dc2626" : "#3b82f6";
+  context.beginPath();
+  context.arc(
+    center,
+    center,
+    radius,
+    -Math.PI / 2,
+    -Math.PI / 2 + (2 * Math.PI * percent) / 100
+  );
+  context.stroke();
+
+  return canvas.toDataURL("image/png");
+};
+
+/**
+ * Show upload progress in the tab title and favicon
+ * @param {number} percent - Progress from 0 to 100
+ * @param {Object} options - Display options (optional)
+ * @param {boolean} options.failed - Some uploads failed
+ */
+export const showTabProgress = async (percent, options = {}) => {
+  const token = ++drawToken;
+  const link = getIconLink();
+  if (!original) {
+    original = { title: document.title, iconHref: link?.href || null };
+    iconImage = original.iconHref && (await loadImage(original.iconHref));
+  }
+
+  // A later call, or clearTabProgress, may have run while the icon loaded
+  if (!original || token !== drawToken) return;
+
+  document.title = `(${percent}%) ${original.title}`;
+  if (link) {
+    link.href = drawProgressIcon(percent, options.failed);
+  }
+};
+
+/**
+ * Restore the tab title and favicon
+ */
+export const clearTabProgress = () => {
+  drawToken++;
+  if (!original) return;
+
+  document.title = original.title;
+  const link = getIconLink();
+  if (link && original.iconHref) {
+    link.href = original.iconHref;
+  }
+  original = null;
+};
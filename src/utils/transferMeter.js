@@ -0,0 +1,70 @@
+// Throughput and ETA estimation for uploads
+
+// Samples older than this are dropped from the moving average
+const DEFAULT_WINDOW_MS = 10000; // 10 seconds
+
+/**
+ * Measures transfer speed as a moving average over a sliding time window
+ */
+export class TransferMeter {
+  constructor(windowMs = DEFAULT_WINDOW_MS) {
+    this.windowMs = windowMs;
+    this.samples = [];
+  }
+
+  /**
+   * Record the total number of bytes transferred so far
+   * @param {number} loaded - Bytes transferred
+   * @param {number} now - Sample time in milliseconds (defaults to Date.now())
+   */
+  update(loaded, now = Date.now()) {
+    const last = this.samples[this.samples.length - 1];
+
+    // A retried request resends bytes, so start measuring again
+    if (last && loaded < last.loaded) {
+      this.samples = [];
+    }
+
+    this.samples.push({ time: now, loaded });
+
+    // Keep at least two samples so there is always a span to measure
+    while (
+      this.samples.length > 2 &&
+      now - this.samples[0].time > this.windowMs
+    ) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Average speed over the window
+   * @returns {number} - Bytes per second (0 until there is enough data)
+   */
+  getSpeed() {
+    if (this.samples.length < 2) return 0;
+
+    const first = this.samples[0];
+    const last = this.samples[this.samples.length - 1];
+    const elapsedSeconds = (last.time - first.time) / 1000;
+    if (elapsedSeconds <= 0) return 0;
+
+    return Math.max(0, (last.loaded - first.loaded) / elapsedSeconds);
+  }
+
+  /**
+   * Estimate the time left at the current speed
+   * @param {number} total - Total bytes to transfer
+   * @returns {number|null} - Seconds left, or null if the speed is unknown
+   */
+  getEta(total) {
+    const speed = this.getSpeed();
+    if (speed === 0 || this.samples.length === 0) return null;
+
+    const { loaded } = this.samples[this.samples.length - 1];
+    return Math.max(0, (total - loaded) / speed);
+  }
+
+  reset() {
+    this.samples = [];
+  }
+}
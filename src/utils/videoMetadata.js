@@ -0,0 +1,208 @@
+// Read video metadata and capture thumbnails in the browser without
+// uploading the file
+import { readContainerInfo } from "./containerInfo";
+
+// Width of the poster thumbnail uploaded with the video
+const POSTER_WIDTH = 640;
+
+// Width of the scrub thumbnails shown in the preview
+const SCRUB_WIDTH = 160;
+
+/**
+ * Load a file into an offscreen video element up to its metadata
+ * @param {File} file - The video file
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<Object>} - { video, release } where release() frees the
+ *   element and its object URL; resolves null if the browser cannot read
+ *   the file (e.g. unsupported container)
+ */
+const loadVideo = (file, timeoutMs) =>
+  new Promise((resolve) => {
+    const video = document.createElement("video");
+    const url = URL.createObjectURL(file);
+    let timer = null;
+    let done = false;
+
+    const release = () => {
+      video.removeAttribute("src");
+      video.load();
+      URL.revokeObjectURL(url);
+    };
+
+    const finish = (loaded) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      if (loaded) {
+        resolve({ video, release });
+      } else {
+        release();
+        resolve(null);
+      }
+    };
+
+    timer = setTimeout(() => finish(false), timeoutMs);
+    video.preload = "metadata";
+    video.muted = true;
+    video.playsInline = true;
+    video.addEventListener("loadedmetadata", () => finish(true), {
+      once: true,
+    });
+    video.addEventListener("error", () => finish(false), { once: true });
+    video.src = url;
+  });
+
+/**
+ * Read the duration of a video file from its metadata
+ * @param {File} file - The video file
+ * @param {number} timeoutMs - Give up after this long (default: 10000)
+ * @returns {Promise<number|null>} - Duration in seconds, or null if the
+ *   browser cannot read it (e.g. unsupported container)
+ */
+export const readVideoDuration = async (file, timeoutMs = 10000) => {
+  const loaded = await loadVideo(file, timeoutMs);
+  if (!loaded) return null;
+
+  const { duration } = loaded.video;
+  loaded.release();
+  return Number.isFinite(duration) ? duration : null;
+};
+
+/**
+ * Seek a video and wait until the frame at that time is ready
+ * @param {HTMLVideoElement} video - Loaded video element
+ * @param {number} time - Time in seconds
+ * @returns {Promise<void>}
+ */
+const seekTo = (video, time) =>
+  new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      video.removeEventListener("seeked", onSeeked);
+      video.removeEventListener("error", onError);
+    };
+    const onSeeked = () => {
+      cleanup();
+      resolve();
+    };
+    const onError = () => {
+      cleanup();
+      reject(new Error("Could not seek video"));
+    };
+    // Damaged files can stall without an error event
+    const timer = setTimeout(onError, 5000);
+    video.addEventListener("seeked", onSeeked);
+    video.addEventListener("error", onError);
+    video.currentTime = time;
+  });
+
+/**
+ * Draw the current frame of a video to a JPEG
+ * @param {HTMLVideoElement} video - Video element showing the frame
+ * @param {number} width - Thumbnail width; height keeps the aspect ratio
+ * @returns {Promise<Blob|null>} - JPEG image, or null if it could not be encoded
+ */
+const captureFrame = (video, width) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.min(width, video.videoWidth);
+  canvas.height = Math.round(
+    (canvas.width / video.videoWidth) * video.videoHeight
+  );
+  canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
+
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", 0.8));
+};
+
+/**
+ * Measure the frame rate by playing a few frames of the muted video
+ * @param {HTMLVideoElement} video - Loaded video element
+ * @param {number} frameCount - Frames to sample (default: 10)
+ * @returns {Promise<number|null>} - Frames per second, or null if the
+ *   browser has no requestVideoFrameCallback or playback is blocked
+ */
+const measureFrameRate = async (video, frameCount = 10) => {
+  if (!video.requestVideoFrameCallback) return null;
+
+  const mediaTimes = await new Promise((resolve) => {
+    const times = [];
+    const timer = setTimeout(() => resolve(times), 2000);
+    const onFrame = (now, frame) => {
+      times.push(frame.mediaTime);
+      if (times.length >= frameCount) {
+        clearTimeout(timer);
+        resolve(times);
+      } else {
+        video.requestVideoFrameCallback(onFrame);
+      }
+    };
+    video.requestVideoFrameCallback(onFrame);
+    video.play().catch(() => {
+      clearTimeout(timer);
+      resolve(times);
+    });
+  });
+  video.pause();
+
+  if (mediaTimes.length < 2) return null;
+  const elapsed = mediaTimes[mediaTimes.length - 1] - mediaTimes[0];
+  return elapsed > 0
+    ? Math.round(((mediaTimes.length - 1) / elapsed) * 100) / 100
+    : null;
+};
+
+/**
+ * Read a video's metadata and capture its thumbnails
+ * @param {File} file - The video file
+ * @param {Object} options - Extraction options (optional)
+ * @param {number} options.scrubCount - Number of scrub thumbnails (default: 4)
+ * @param {number} options.timeoutMs - Give up loading after this long (default: 10000)
+ * @returns {Promise<Object|null>} - { metadata, poster, scrubs } where
+ *   metadata is { duration, width, height, frameRate, container, videoCodec,
+ *   audioCodec, mimeType } and poster/scrubs are JPEG blobs (missing if
+ *   frames could not be captured); null if the browser cannot read the video
+ */
+export const extractVideoMetadata = async (file, options = {}) => {
+  const { scrubCount = 4, timeoutMs = 10000 } = options;
+  const [loaded, containerInfo] = await Promise.all([
+    loadVideo(file, timeoutMs),
+    readContainerInfo(file),
+  ]);
+  if (!loaded) return null;
+
+  const { video, release } = loaded;
+  const duration = Number.isFinite(video.duration) ? video.duration : null;
+  const metadata = {
+    duration,
+    width: video.videoWidth || null,
+    height: video.videoHeight || null,
+    frameRate: null,
+    ...containerInfo,
+    mimeType: file.type,
+  };
+
+  try {
+    // Audio-only files have no frames to capture
+    if (!video.videoWidth || !duration) {
+      return { metadata, poster: null, scrubs: [] };
+    }
+
+    metadata.frameRate = await measureFrameRate(video);
+
+    // Skip the first second (or tenth), which is often a black frame
+    await seekTo(video, Math.min(1, duration * 0.1));
+    const poster = await captureFrame(video, POSTER_WIDTH);
+
+    const scrubs = [];
+    for (let i = 1; i <= scrubCount; i++) {
+      await seekTo(video, (duration * i) / (scrubCount + 1));
+      scrubs.push(await captureFrame(video, SCRUB_WIDTH));
+    }
+
+    return { metadata, poster, scrubs: scrubs.filter(Boolean) };
+  } catch (error) {
+    console.warn(`Could not capture thumbnails of "${file.name}":`, error);
+    return { metadata, poster: null, scrubs: [] };
+  } finally {
+    release();
+  }
+};
@@ -0,0 +1,208 @@
+// Background upload worker: runs multipart transfers outside the page, as a
+// Service Worker or, where that is unavailable, a SharedWorker
+import apiClient from "../services/api";
+import { UploadController, isAbortError } from "../services/uploadController";
+import { transferMultipartUpload } from "../services/uploadTask";
+import { getStorageProvider } from "../services/providers";
+import { uploadStore } from "../services/uploadStore";
+import {
+  BACKGROUND_CHANNEL,
+  deserializeError,
+  serializeError,
+} from "../services/backgroundUploads";
+import { configureUploads } from "../config/uploadConfig";
+
+// Minimum time between progress broadcasts of one job
+const PROGRESS_INTERVAL_MS = 250;
+
+// How long to wait for a tab to answer a token refresh request
+const TOKEN_REFRESH_TIMEOUT_MS = 10000;
+
+const channel = new BroadcastChannel(BACKGROUND_CHANNEL);
+const jobs = new Map();
+let accessToken = null;
+let tokenWaiters = [];
+
+/**
+ * Public part of a job, as broadcast to tabs
+ * @param {Object} job - Job record
+ * @returns {Object} - Snapshot without the file and controller
+ */
+const toSnapshot = (job) => ({
+  jobId: job.jobId,
+  fileName: job.fileName,
+  fileSize: job.fileSize,
+  status: job.status,
+  progress: job.progress,
+  loadedBytes: job.loadedBytes,
+  result: job.result,
+  error: job.error,
+});
+
+const broadcastJob = (job) => {
+  job.lastBroadcast = Date.now();
+  channel.postMessage({ type: "job", job: toSnapshot(job) });
+};
+
+/**
+ * Ask the open tabs for a fresh access token
+ * @returns {Promise<boolean>} - True if a tab answered with a token; rejects
+ *   with the tab's error if the token could not be refreshed for now
+ */
+const requestTokenRefresh = () =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(false), TOKEN_REFRESH_TIMEOUT_MS);
+    tokenWaiters.push(({ accessToken: token, error }) => {
+      clearTimeout(timer);
+      if (error) {
+        reject(deserializeError(error));
+      } else {
+        resolve(Boolean(token));
+      }
+    });
+    channel.postMessage({ type: "refresh-token" });
+  });
+
+apiClient.setAuth({
+  getAccessToken: () => accessToken,
+  refreshAccessToken: requestTokenRefresh,
+});
+
+/**
+ * Abort a cancelled upload on the backend; the page that started it may be
+ * gone
+ * @param {Object} transfer - The job's transfer
+ */
+const cleanupCancelledJob = async ({ session, userId, fingerprint }) => {
+  try {
+    await getStorageProvider(session.provider).abort(session);
+    await uploadStore.remove(userId, fingerprint);
+  } catch (error) {
+    console.error("Failed to clean up cancelled background upload:", error);
+  }
+};
+
+/**
+ * Run one transfer to completion
+ * @param {Object} message - The tab's "start" message
+ * @returns {Promise<void>} - Settles when the job has finished
+ */
+const runJob = async (message) => {
+  const { jobId, file, transfer, paused, config, apiBaseUrl } = message;
+  const controller = new UploadController();
+  if (paused) controller.pause();
+
+  const job = {
+    jobId,
+    fileName: file.name,
+    fileSize: file.size,
+    status: paused ? "paused" : "uploading-parts",
+    progress: 0,
+    loadedBytes: 0,
+    result: null,
+    error: null,
+    file,
+    controller,
+    lastBroadcast: 0,
+  };
+  jobs.set(jobId, job);
+  configureUploads(config);
+  apiClient.setBaseURL(apiBaseUrl);
+  if (message.accessToken) {
+    accessToken = message.accessToken;
+  }
+  broadcastJob(job);
+
+  try {
+    job.result = await transferMultipartUpload(file, transfer, {
+      controller,
+      onStatus: (status) => {
+        job.status = status;
+        broadcastJob(job);
+      },
+      onProgress: (progress, detail) => {
+        job.progress = progress;
+        job.loadedBytes = detail.loaded;
+        if (Date.now() - job.lastBroadcast >= PROGRESS_INTERVAL_MS) {
+          broadcastJob(job);
+        }
+      },
+      onRetry: (retryInfo) =>
+        channel.postMessage({
+          type: "retry",
+          jobId,
+          retryInfo: { ...retryInfo, error: serializeError(retryInfo.error) },
+        }),
+      onPartComplete: (part) =>
+        channel.postMessage({ type: "part", jobId, part }),
+    });
+    job.status = "done";
+  } catch (error) {
+    if (isAbortError(error)) {
+      await cleanupCancelledJob(transfer);
+      job.status = "cancelled";
+    } else {
+      console.error(`Background upload of ${file.name} failed:`, error);
+      job.status = "error";
+      job.error = serializeError(error);
+    }
+  } finally {
+    jobs.delete(jobId);
+    broadcastJob(job);
+  }
+};
+
+channel.addEventListener("message", ({ data }) => {
+  const controller = jobs.get(data.jobId)?.controller;
+
+  switch (data.type) {
+    case "pause":
+      controller?.pause();
+      break;
+    case "resume":
+      controller?.resume();
+      break;
+    case "cancel":
+      controller?.cancel();
+      break;
+    case "token": {
+      if (data.accessToken) {
+        accessToken = data.accessToken;
+      }
+      const waiters = tokenWaiters;
+      tokenWaiters = [];
+      waiters.forEach((settle) => settle(data));
+      break;
+    }
+    case "configure":
+      configureUploads(data.config);
+      break;
+    case "list":
+      channel.postMessage({
+        type: "jobs",
+        jobs: [...jobs.values()].map(toSnapshot),
+      });
+      break;
+  }
+});
+
+if ("onconnect" in self) {
+  // SharedWorker: each tab talks to the worker over its own port
+  self.addEventListener("connect", (e) => {
+    const [port] = e.ports;
+    port.addEventListener("message", ({ data }) => {
+      if (data.type === "start") runJob(data);
+    });
+    port.start();
+  });
+} else {
+  // Service Worker: take over immediately so the first upload can use it
+  self.addEventListener("install", () => self.skipWaiting());
+  self.addEventListener("activate", (e) => e.waitUntil(self.clients.claim()));
+  self.addEventListener("message", (e) => {
+    if (e.data.type === "start") {
+      // Keeps the worker alive while the job runs
+      e.waitUntil(runJob(e.data));
+    }
+  });
+}
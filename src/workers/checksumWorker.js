@@ -0,0 +1,18 @@
+// Web Worker that hashes upload chunks off the main thread
+import { hashBlob } from "../utils/checksum";
+
+// Requests are handled one at a time so only one chunk is held in memory
+let queue = Promise.resolve();
+
+self.addEventListener("message", (e) => {
+  const { id, blob, algorithm } = e.data;
+
+  queue = queue.then(async () => {
+    try {
+      const checksums = await hashBlob(blob, algorithm);
+      self.postMessage({ id, checksums });
+    } catch (error) {
+      self.postMessage({ id, error: error.message });
+    }
+  });
+});
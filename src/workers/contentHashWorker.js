@@ -0,0 +1,49 @@
+// Web Worker that hashes whole files for duplicate detection
+import { hashFileContent } from "../utils/contentHash";
+
+// Requests whose hashing should stop at the next slice
+const cancelledIds = new Set();
+
+// Paused requests, as { resumed, resume } with a promise that settles on
+// resume or cancel
+const pausedRequests = new Map();
+
+const resumeRequest = (id) => {
+  pausedRequests.get(id)?.resume();
+  pausedRequests.delete(id);
+};
+
+self.addEventListener("message", async (e) => {
+  const { id, type, file } = e.data;
+  if (type === "pause") {
+    if (!pausedRequests.has(id)) {
+      let resume;
+      const resumed = new Promise((resolve) => (resume = resolve));
+      pausedRequests.set(id, { resumed, resume });
+    }
+    return;
+  }
+  if (type === "resume") {
+    resumeRequest(id);
+    return;
+  }
+  if (type === "cancel") {
+    cancelledIds.add(id);
+    resumeRequest(id);
+    return;
+  }
+
+  try {
+    const hash = await hashFileContent(file, {
+      isCancelled: () => cancelledIds.has(id),
+      waitUntilResumed: () => pausedRequests.get(id)?.resumed,
+      onProgress: (loaded) => self.postMessage({ id, loaded }),
+    });
+    self.postMessage({ id, hash });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  } finally {
+    cancelledIds.delete(id);
+    pausedRequests.delete(id);
+  }
+});
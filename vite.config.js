@@ -2,7 +2,80 @@ import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import tailwindcss from "@tailwindcss/vite";
 
+// Library builds, selected with --mode (see the build:lib script)
+const LIBRARY_BUILDS = {
+  // React components and the upload engine; the host app provides React
+  lib: {
+    entry: "src/lib.js",
+    name: "VideoUploader",
+    fileName: "video-uploader",
+    external: ["react", "react-dom", "react/jsx-runtime"],
+  },
+  // <video-uploader> custom element with React bundled in
+  element: {
+    entry: "src/element.jsx",
+    name: "VideoUploaderElement",
+    fileName: "video-uploader-element",
+    external: [],
+  },
+};
+
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react(), tailwindcss()],
+export default defineConfig(({ mode }) => {
+  const library = LIBRARY_BUILDS[mode];
+  if (!library) {
+    return {
+      plugins: [react(), tailwindcss()],
+      server: {
+        // Lets the background upload worker, served from /src/workers/ in
+        // development, control the whole app
+        headers: { "Service-Worker-Allowed": "/" },
+      },
+      build: {
+        rollupOptions: {
+          input: {
+            main: "index.html",
+            // Service Workers are scoped to their URL's directory, so the
+            // background upload worker is emitted at the root
+            "upload-worker": "src/workers/backgroundUploadWorker.js",
+          },
+          output: {
+            entryFileNames: (chunk) =>
+              chunk.name === "upload-worker"
+                ? "upload-worker.js"
+                : "assets/[name]-[hash].js",
+          },
+        },
+      },
+    };
+  }
+
+  return {
+    plugins: [react(), tailwindcss()],
+    // Bundled dependencies such as React read NODE_ENV, which library
+    // builds do not replace
+    define: { "process.env.NODE_ENV": JSON.stringify("production") },
+    build: {
+      outDir: "dist/lib",
+      emptyOutDir: false,
+      copyPublicDir: false,
+      lib: {
+        entry: library.entry,
+        name: library.name,
+        fileName: library.fileName,
+        cssFileName: library.fileName,
+        formats: ["es", "umd"],
+      },
+      rollupOptions: {
+        external: library.external,
+        output: {
+          globals: {
+            react: "React",
+            "react-dom": "ReactDOM",
+            "react/jsx-runtime": "jsxRuntime",
+          },
+        },
+      },
+    },
+  };
 });